@@ -1,11 +1,86 @@
-import { generateDocx, downloadDocx } from '../src/docx-generator.js';
+import { Packer } from 'docx';
+import { generateDocx } from '../src/docx-generator.js';
+import { buildEmail, emailMessage } from '../src/email-export.js';
+import { loadTemplate, TEMPLATES, DEFAULT_TEMPLATE } from '../src/docx-template.js';
+import { buildPacket, paginatePacket, clipWarnings, digestDays, CONTENTS_GROUPINGS } from '../src/packet.js';
+import { latestClosedEdition, editionToLocalDate, addDays } from '../src/edition.js';
+import { parseClips } from '../src/clip-import.js';
+import {
+  createManualArticle, parsePublishTime, formatPublishTime, loadManualArticles, saveManualArticles,
+} from '../src/manual-articles.js';
+import {
+  applyOverride, setOverride, removeOverride, loadOverrides, saveOverrides,
+} from '../src/article-overrides.js';
+import {
+  SORT_PRESETS, DEFAULT_PRESET, DEFAULT_OUTLET_PRIORITY, sortArticles, arrangeSelection, moveItem,
+} from '../src/clip-order.js';
+import { parseQuery, matchQuery, keywordInContext } from '../src/search-query.js';
+import { filterByFacets, facetCounts } from '../src/facets.js';
+import {
+  loadProfiles, saveProfiles, upsertProfile, deleteProfile, exportProfiles, importProfiles,
+  encodeSearchState, decodeSearchState,
+} from '../src/keyword-profiles.js';
+import {
+  keywordTags, options, scrapeWarnings, articleItem, editPanel, noResults, facetPanel,
+  packetOrderItems, packetPreview, previewWarnings,
+} from '../src/views.js';
+
+const SORT_PRESET_KEY = 'bears-clips.sortPreset';
+const OUTLET_PRIORITY_KEY = 'bears-clips.outletPriority';
+const CONTENTS_KEY = 'bears-clips.contents';
+const TEMPLATE_KEY = 'bears-clips.template';
 
 // State
 let allArticles = [];
-let keywords = ['Bears'];
+let scrapedArticles = [];
+let manualArticles = loadManualArticles(localStorage); // every edition's, see src/manual-articles.js
+let currentEdition = null; // YYYY-MM-DD, or null when only articles.json exists
+let editionDates = new Set(); // every edition on file
+let digestStart = null; // first edition of a digest ending at currentEdition, or null for one edition
+// A shared link's search (?profile=…&q=…&edition=…) wins over the saved profile
+const linkedSearch = decodeSearchState(location.search);
+let profileState = loadProfiles(localStorage); // { profiles, active }, see src/keyword-profiles.js
+if (linkedSearch.profile && profileState.profiles.some(p => p.name === linkedSearch.profile)) {
+  profileState.active = linkedSearch.profile;
+}
+// Each keyword is a search query (see src/search-query.js); any may match
+let keywords = linkedSearch.keywords || [...activeProfile().keywords];
+let searchQuery = null; // the keywords as one parsed query, set by filterArticles()
+let searchResults = []; // articles matching the keywords, with hand edits
+let facetSelections = {}; // facet id → Set of ticked values, see src/facets.js
+let visibleArticles = []; // searchResults narrowed by the facets — what the list shows
 let selectedArticles = new Set();
+let overrides = loadOverrides(localStorage); // hand edits by article id, see src/article-overrides.js
+let editingId = null; // article whose edit panel is open
+let editDraft = null; // that panel's unsaved fields
+let packetOrder = []; // selected article ids, in packet order
+let sortPreset = SORT_PRESETS[localStorage.getItem(SORT_PRESET_KEY)] ? localStorage.getItem(SORT_PRESET_KEY) : DEFAULT_PRESET;
+let outletPriority = readOutletPriority();
+let dragIndex = null;
+// Contents page layout, a CONTENTS_GROUPINGS key or '' for none
+let contentsGrouping = localStorage.getItem(CONTENTS_KEY) ?? 'order';
+// Word template the packet is styled from, a TEMPLATES key (see src/docx-template.js)
+let templateName = TEMPLATES[localStorage.getItem(TEMPLATE_KEY)] ? localStorage.getItem(TEMPLATE_KEY) : DEFAULT_TEMPLATE;
+let previewTemplate; // the loaded template, for the preview's cover and page breaks
+const templateCache = new Map(); // file → loading template
+let previewOpen = false;
+
+/**
+ * The saved outlet priority list, or the house default
+ */
+function readOutletPriority() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(OUTLET_PRIORITY_KEY));
+    return Array.isArray(saved) && saved.length ? saved : DEFAULT_OUTLET_PRIORITY;
+  } catch {
+    return DEFAULT_OUTLET_PRIORITY;
+  }
+}
 
 // DOM Elements
+const editionSelect = document.getElementById('edition-select');
+const digestCheckbox = document.getElementById('digest-checkbox');
+const digestStartSelect = document.getElementById('digest-start-select');
 const keywordsList = document.getElementById('keywords-list');
 const keywordInput = document.getElementById('keyword-input');
 const addKeywordBtn = document.getElementById('add-keyword-btn');
@@ -13,34 +88,164 @@ const searchBtn = document.getElementById('search-btn');
 const searchSection = document.getElementById('search-section');
 const articlesSection = document.getElementById('articles-section');
 const articlesList = document.getElementById('articles-list');
+const facetSidebar = document.getElementById('facet-sidebar');
 const selectAllBtn = document.getElementById('select-all-btn');
 const deselectAllBtn = document.getElementById('deselect-all-btn');
 const selectionCount = document.getElementById('selection-count');
 const generateBtn = document.getElementById('generate-btn');
+const previewBtn = document.getElementById('preview-btn');
+const emailBtn = document.getElementById('email-btn');
+const previewSection = document.getElementById('preview-section');
+const previewWarningsDiv = document.getElementById('preview-warnings');
+const previewPages = document.getElementById('preview-pages');
+const previewDownloadBtn = document.getElementById('preview-download-btn');
+const previewCloseBtn = document.getElementById('preview-close-btn');
+const otherCoverageCheckbox = document.getElementById('other-coverage-checkbox');
+const contentsSelect = document.getElementById('contents-select');
+const templateSelect = document.getElementById('template-select');
 const messageDiv = document.getElementById('message');
 const loadingDiv = document.getElementById('loading');
+const scrapeWarningsDiv = document.getElementById('scrape-warnings');
+const manualForm = document.getElementById('manual-form');
+const manualImportInput = document.getElementById('manual-import-input');
+const sortPresetSelect = document.getElementById('sort-preset-select');
+const applySortBtn = document.getElementById('apply-sort-btn');
+const outletPriorityInput = document.getElementById('outlet-priority-input');
+const packetOrderList = document.getElementById('packet-order-list');
+const profileSelect = document.getElementById('profile-select');
+const profileStatus = document.getElementById('profile-status');
+const profileSaveBtn = document.getElementById('profile-save-btn');
+const profileSaveAsBtn = document.getElementById('profile-save-as-btn');
+const profileDeleteBtn = document.getElementById('profile-delete-btn');
+const profileExportBtn = document.getElementById('profile-export-btn');
+const profileImportInput = document.getElementById('profile-import-input');
+const copyLinkBtn = document.getElementById('copy-link-btn');
 
 /**
  * Render keywords list
  */
 function renderKeywords() {
-  keywordsList.innerHTML = keywords
-    .map(keyword => `
-      <div class="keyword-tag">
-        ${keyword}
-        <button class="keyword-remove" data-keyword="${keyword}">×</button>
-      </div>
-    `)
-    .join('');
-
-  // Add event listeners to remove buttons
-  document.querySelectorAll('.keyword-remove').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const keyword = e.target.dataset.keyword;
+  keywordsList.replaceChildren(...keywordTags(keywords, {
+    onRemove: keyword => {
       keywords = keywords.filter(k => k !== keyword);
       renderKeywords();
-    });
-  });
+    },
+  }));
+
+  renderProfiles();
+  updateUrl();
+}
+
+/**
+ * The profile picked in the profile menu
+ */
+function activeProfile() {
+  return profileState.profiles.find(p => p.name === profileState.active) || profileState.profiles[0];
+}
+
+/**
+ * Fill the profile menu and flag keyword changes not yet saved to it
+ */
+function renderProfiles() {
+  profileSelect.replaceChildren(...options(profileState.profiles.map(({ name }) => ({ value: name, label: name }))));
+  profileSelect.value = profileState.active;
+
+  const modified = JSON.stringify(keywords) !== JSON.stringify(activeProfile().keywords);
+  profileStatus.textContent = modified ? 'unsaved changes' : '';
+  profileSaveBtn.disabled = !modified;
+  profileDeleteBtn.disabled = profileState.profiles.length < 2;
+}
+
+/**
+ * Keep the address bar in step with the search, so the URL can be shared
+ */
+function updateUrl() {
+  const query = encodeSearchState({ profile: profileState.active, keywords, edition: currentEdition });
+  history.replaceState(null, '', `${location.pathname}?${query}`);
+}
+
+function storeProfiles() {
+  saveProfiles(localStorage, profileState);
+  renderProfiles();
+}
+
+/**
+ * Switch profile: its keywords replace the current ones
+ */
+function handleProfileChange() {
+  profileState.active = profileSelect.value;
+  keywords = [...activeProfile().keywords];
+  storeProfiles();
+  renderKeywords();
+}
+
+function saveProfile() {
+  profileState.profiles = upsertProfile(profileState.profiles, { name: profileState.active, keywords });
+  storeProfiles();
+  showMessage(`Saved profile "${profileState.active}"`, 'success');
+}
+
+function saveProfileAs() {
+  const name = prompt('Name for this keyword profile:', linkedSearch.profile || '')?.trim();
+  if (!name) return;
+  if (profileState.profiles.some(p => p.name === name) && !confirm(`Replace the "${name}" profile?`)) return;
+  profileState.profiles = upsertProfile(profileState.profiles, { name, keywords });
+  profileState.active = name;
+  storeProfiles();
+  updateUrl();
+  showMessage(`Saved profile "${name}"`, 'success');
+}
+
+function removeProfile() {
+  const { active } = profileState;
+  if (profileState.profiles.length < 2 || !confirm(`Delete the "${active}" profile?`)) return;
+  profileState.profiles = deleteProfile(profileState.profiles, active);
+  profileState.active = profileState.profiles[0].name;
+  keywords = [...activeProfile().keywords];
+  storeProfiles();
+  renderKeywords();
+}
+
+/**
+ * Download every profile as JSON
+ */
+function handleProfileExport() {
+  const blob = new Blob([exportProfiles(profileState.profiles)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'bears-clips-keyword-profiles.json';
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Merge profiles from an exported JSON file
+ */
+async function handleProfileImport() {
+  const [file] = profileImportInput.files;
+  profileImportInput.value = '';
+  if (!file) return;
+  try {
+    const { profiles, names } = importProfiles(await file.text(), profileState.profiles);
+    profileState.profiles = profiles;
+    storeProfiles();
+    showMessage(`Imported ${names.length} profile${names.length === 1 ? '' : 's'}: ${names.join(', ')}`, 'success');
+  } catch (error) {
+    showMessage(`Couldn't import ${file.name}: ${error.message}`, 'error');
+  }
+}
+
+async function copySearchLink() {
+  updateUrl();
+  try {
+    await navigator.clipboard.writeText(location.href);
+    showMessage('Link to this search copied', 'success');
+  } catch {
+    showMessage(`Copy this link: ${location.href}`, 'info');
+  }
 }
 
 /**
@@ -48,6 +253,12 @@ function renderKeywords() {
  */
 function addKeyword() {
   const keyword = keywordInput.value.trim();
+  try {
+    parseQuery(keyword);
+  } catch (error) {
+    showMessage(`Can't search for ${keyword}: ${error.message}`, 'error');
+    return;
+  }
   if (keyword && !keywords.includes(keyword)) {
     keywords.push(keyword);
     keywordInput.value = '';
@@ -56,15 +267,137 @@ function addKeyword() {
 }
 
 /**
- * Load articles from JSON
+ * Load the edition archive index and fill the edition picker.
+ * Returns false when there is no archive yet (older deploys).
+ */
+async function loadEditions() {
+  try {
+    const response = await fetch('./data/editions/index.json');
+    if (!response.ok) return false;
+    const { editions } = await response.json();
+    if (!editions || editions.length === 0) return false;
+
+    const editionOptions = () => options(editions.map(edition => ({ value: edition.date, label: formatEditionLabel(edition) })));
+    editionSelect.replaceChildren(...editionOptions());
+    digestStartSelect.replaceChildren(...editionOptions());
+    editionDates = new Set(editions.map(edition => edition.date));
+
+    // A shared link's edition, else the packet due out now, else the newest edition on file
+    const dueNow = latestClosedEdition();
+    const preferred = [linkedSearch.edition, dueNow].find(date => editions.some(e => e.date === date));
+    currentEdition = preferred || editions[0].date;
+    editionSelect.value = currentEdition;
+    editionSelect.disabled = false;
+    digestCheckbox.disabled = false;
+    return true;
+  } catch (error) {
+    console.warn('Could not load edition index:', error);
+    return false;
+  }
+}
+
+/**
+ * "Sat, Oct 18, 2026 — 42 articles"
+ */
+function formatEditionLabel(edition) {
+  const day = editionToLocalDate(edition.date).toLocaleDateString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric',
+  });
+  return `${day} — ${edition.articleCount} article${edition.articleCount === 1 ? '' : 's'}`;
+}
+
+/**
+ * Handle edition change
+ */
+async function handleEditionChange() {
+  currentEdition = editionSelect.value;
+  if (digestStart && !setDigestStart(digestStart)) endDigest();
+  await reloadArticles();
+}
+
+/**
+ * Turn the digest on — by default the weekend before a Monday edition,
+ * i.e. the two days before the edition picked — or off
+ */
+async function handleDigestToggle() {
+  if (digestCheckbox.checked) {
+    const weekend = addDays(currentEdition, -2);
+    const start = [...editionDates].filter(date => date >= weekend && date <= currentEdition).sort()[0];
+    if (!setDigestStart(start)) return;
+  } else {
+    endDigest();
+  }
+  await reloadArticles();
+}
+
+function endDigest() {
+  digestStart = null;
+  digestCheckbox.checked = false;
+  digestStartSelect.disabled = true;
+}
+
+async function handleDigestStartChange() {
+  if (setDigestStart(digestStartSelect.value)) await reloadArticles();
+}
+
+/**
+ * Start the digest on `start`, if that makes a range digestDays() accepts;
+ * otherwise say why and leave the picker as it was
+ */
+function setDigestStart(start) {
+  try {
+    digestDays({ start, end: currentEdition });
+  } catch (error) {
+    showMessage(`Can't build that digest: ${error.message}`, 'error');
+    if (digestStart) digestStartSelect.value = digestStart;
+    else digestCheckbox.checked = false;
+    return false;
+  }
+  digestStart = start;
+  digestStartSelect.value = start;
+  digestStartSelect.disabled = false;
+  return true;
+}
+
+/**
+ * The digest's edition range, or null for a single edition
+ */
+function currentDigest() {
+  return digestStart ? { start: digestStart, end: currentEdition } : null;
+}
+
+/**
+ * Start over with the articles of the edition (or digest) now picked
+ */
+async function reloadArticles() {
+  selectedArticles.clear();
+  editingId = editDraft = null;
+  updateUrl();
+  articlesSection.style.display = 'none';
+  updateSelectionCount();
+  await loadArticles();
+}
+
+/**
+ * Load articles from JSON — the selected edition, every edition of the
+ * digest, or articles.json if there is no archive
  */
 async function loadArticles() {
   try {
     loadingDiv.style.display = 'block';
-    const response = await fetch('./data/articles.json');
-    if (!response.ok) throw new Error('Failed to load articles');
-    const data = await response.json();
-    allArticles = data.articles;
+    if (currentDigest()) {
+      const dates = digestDays(currentDigest()).filter(date => editionDates.has(date));
+      const editions = await Promise.all(dates.map(fetchEdition));
+      // Tagged with their edition so the digest files each under its day
+      const byId = new Map();
+      editions.forEach(({ articles }, i) => articles.forEach(article => {
+        if (!byId.has(article.id)) byId.set(article.id, { ...article, edition: article.edition || dates[i] });
+      }));
+      scrapedArticles = [...byId.values()];
+    } else {
+      scrapedArticles = (await fetchEdition(currentEdition)).articles;
+    }
+    mergeManualArticles();
     loadingDiv.style.display = 'none';
     console.log(`Loaded ${allArticles.length} articles`);
   } catch (error) {
@@ -74,6 +407,150 @@ async function loadArticles() {
   }
 }
 
+/**
+ * An edition file, or articles.json for `date` null
+ */
+async function fetchEdition(date) {
+  const response = await fetch(date ? `./data/editions/${date}.json` : './data/articles.json');
+  if (!response.ok) throw new Error('Failed to load articles');
+  return response.json();
+}
+
+/**
+ * The manual articles added to the current edition, or to any edition of
+ * the digest. Without an edition archive there's only one list, so all of them.
+ */
+function currentManualArticles() {
+  if (!currentEdition) return manualArticles;
+  const digest = currentDigest();
+  return manualArticles.filter(article => digest
+    ? article.edition >= digest.start && article.edition <= digest.end
+    : article.edition === currentEdition);
+}
+
+/**
+ * Rebuild allArticles from the scraped list and this edition's manual articles
+ */
+function mergeManualArticles() {
+  allArticles = [...scrapedArticles, ...currentManualArticles()];
+}
+
+/**
+ * Save new manual articles, select them and show them in the list
+ */
+function addManualArticles(articles) {
+  manualArticles = [...manualArticles, ...articles];
+  saveManualArticles(localStorage, manualArticles);
+  mergeManualArticles();
+  articles.forEach(article => selectedArticles.add(article.id));
+  showArticleList();
+}
+
+function removeManualArticle(articleId) {
+  manualArticles = manualArticles.filter(article => article.id !== articleId);
+  saveManualArticles(localStorage, manualArticles);
+  overrides = removeOverride(overrides, articleId);
+  saveOverrides(localStorage, overrides);
+  selectedArticles.delete(articleId);
+  if (editingId === articleId) editingId = editDraft = null;
+  mergeManualArticles();
+  showArticleList();
+}
+
+/**
+ * Handle the Add article form
+ */
+function handleManualSubmit(e) {
+  e.preventDefault();
+  const field = id => document.getElementById(id).value;
+  const article = createManualArticle({
+    title: field('manual-title'),
+    author: field('manual-author'),
+    source: field('manual-source'),
+    publishedAt: parsePublishTime(field('manual-published')),
+    body: field('manual-body'),
+  }, { edition: currentEdition });
+
+  if (!article.title || !article.source || article.body.length === 0) {
+    showMessage('A manual article needs a title, an outlet and its text', 'error');
+    return;
+  }
+
+  addManualArticles([article]);
+  manualForm.reset();
+  showMessage(`Added "${article.title}"`, 'success');
+}
+
+/**
+ * Handle the text file import — each file may hold several clips
+ */
+async function handleManualImport() {
+  const files = [...manualImportInput.files];
+  const imported = [];
+  const problems = [];
+
+  for (const file of files) {
+    const { clips, errors } = parseClips(await file.text());
+    clips.forEach(clip => imported.push(createManualArticle(clip, { edition: currentEdition })));
+    errors.forEach(error => problems.push(`${file.name}: ${error}`));
+  }
+  manualImportInput.value = '';
+
+  if (imported.length) addManualArticles(imported);
+  if (problems.length) {
+    showMessage(`Imported ${imported.length} article${imported.length === 1 ? '' : 's'}. Skipped — ${problems.join('; ')}`, 'error');
+  } else {
+    showMessage(`Imported ${imported.length} article${imported.length === 1 ? '' : 's'}`, 'success');
+  }
+}
+
+/**
+ * Load the scraper's per-source health report and flag broken sources
+ */
+async function loadScrapeReport() {
+  try {
+    const response = await fetch('./data/scrape-report.json');
+    if (!response.ok) return; // report is optional — older deploys don't have one
+    renderScrapeWarnings(await response.json());
+  } catch (error) {
+    console.warn('Could not load scrape report:', error);
+  }
+}
+
+/**
+ * Describe a source that needs attention, or null if it looks healthy
+ */
+function describeSourceProblem(source) {
+  switch (source.status) {
+    case 'error': {
+      const streak = source.failedRuns > 1 ? ` — ${source.failedRuns} runs in a row` : '';
+      return source.listingStatus
+        ? `${source.source} failed to load (HTTP ${source.listingStatus})${streak}`
+        : `${source.source} failed to load${source.error ? `: ${source.error}` : ''}${streak}`;
+    }
+    case 'empty':
+      return `${source.source} returned no articles`;
+    case 'drop':
+      return `${source.source} found only ${source.itemsMatched} items (recent average ${source.recentAverage})`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Render scrape warnings banner
+ */
+function renderScrapeWarnings(report) {
+  const problems = (report.sources || []).map(describeSourceProblem).filter(Boolean);
+  if (problems.length === 0) {
+    scrapeWarningsDiv.style.display = 'none';
+    return;
+  }
+
+  scrapeWarningsDiv.replaceChildren(...scrapeWarnings(problems, report.generatedAt));
+  scrapeWarningsDiv.style.display = 'block';
+}
+
 /**
  * Filter articles by keywords
  */
@@ -86,64 +563,158 @@ function filterArticles() {
   console.log(`Filtering with keywords: ${keywords.join(', ')}`);
   console.log(`Total articles to search: ${allArticles.length}`);
 
-  return allArticles.filter(article => {
-    const content = (article.content || '').trim();
-    const excerpt = (article.excerpt || '').trim();
-    const hasFullContent = content && content !== excerpt;
-    if (!hasFullContent) return false;
+  try {
+    searchQuery = parseQuery(keywords.map(keyword => `(${keyword})`).join(' OR '));
+  } catch (error) {
+    showMessage(`Search error: ${error.message}`, 'error');
+    return [];
+  }
 
-    const searchText = (article.title + ' ' + excerpt + ' ' + content).toLowerCase();
-    const matches = keywords.some(keyword => searchText.includes(keyword.toLowerCase()));
+  // Excerpt-only and paywalled stories are kept — they're badged in the
+  // list and can go in the packet's Other Coverage appendix
+  // Manual articles were added on purpose, so they always show
+  const matched = allArticles.filter(article => {
+    if (article.manual) return true;
+    const matches = matchQuery(searchQuery, article);
     if (matches) console.log(`✓ Match: ${article.title}`);
     return matches;
   });
+
+  return collapseDuplicates(matched);
+}
+
+/**
+ * Replace syndicated copies with their cluster's canonical article, once.
+ * The scraper marks copies with `duplicateOf: <canonical id>`.
+ */
+function collapseDuplicates(articles) {
+  const byId = new Map(allArticles.map(article => [article.id, article]));
+  const seen = new Set();
+  const collapsed = [];
+
+  articles.forEach(article => {
+    const canonical = byId.get(article.duplicateOf) || article;
+    if (seen.has(canonical.id)) return;
+    seen.add(canonical.id);
+    collapsed.push(canonical);
+  });
+
+  return collapsed;
+}
+
+/**
+ * Other outlets that ran the same story as `article`
+ */
+function getAlternates(article) {
+  return allArticles.filter(other => other.duplicateOf === article.id);
+}
+
+/**
+ * An article with its hand edits applied
+ */
+function editedArticle(article) {
+  return applyOverride(article, overrides[article.id]);
+}
+
+/**
+ * Edit panel for the article being edited: title, author, outlet, publish
+ * time and one box per body paragraph
+ */
+function renderEditPanel(article) {
+  return editPanel(editDraft, {
+    canRevert: Boolean(overrides[article.id]),
+    onField: (name, value) => { editDraft[name] = value; },
+    onParagraph: (i, text) => { editDraft.body[i].text = text; },
+    onDeleteParagraph: (i) => {
+      editDraft.body.splice(i, 1);
+      showArticleList();
+    },
+    onSave: saveEdits,
+    onCancel: stopEditing,
+    onRevert: revertEdits,
+  });
 }
 
 /**
- * Render articles for selection
+ * Open the edit panel on an article, starting from its current edits
+ */
+function startEditing(articleId) {
+  const article = editedArticle(allArticles.find(a => a.id === articleId));
+  editingId = articleId;
+  editDraft = {
+    title: article.title || '',
+    author: article.author || '',
+    source: article.source || '',
+    publishedAt: formatPublishTime(article.publishedAt),
+    body: (article.body || []).map(block => ({ ...block })),
+  };
+  showArticleList();
+}
+
+function stopEditing() {
+  editingId = null;
+  editDraft = null;
+  showArticleList();
+}
+
+/**
+ * Save the open panel as an override on the scraped (or manual) article
+ */
+function saveEdits() {
+  const original = allArticles.find(a => a.id === editingId);
+  const publishedAt = parsePublishTime(editDraft.publishedAt);
+  const edits = {
+    title: editDraft.title.trim(),
+    author: editDraft.author.trim(),
+    source: editDraft.source.trim(),
+    body: editDraft.body.filter(block => block.text.trim()),
+  };
+  // Leave the time alone unless it was changed — the input drops seconds
+  if (editDraft.publishedAt !== formatPublishTime(original.publishedAt)) {
+    edits.publishedAt = publishedAt ? publishedAt.toISOString() : null;
+  }
+
+  overrides = setOverride(overrides, original, edits);
+  saveOverrides(localStorage, overrides);
+  stopEditing();
+}
+
+function revertEdits() {
+  overrides = removeOverride(overrides, editingId);
+  saveOverrides(localStorage, overrides);
+  stopEditing();
+}
+
+/**
+ * Render articles for selection. Typing in the edit panel only updates
+ * the draft.
  */
 function renderArticles(articles) {
   if (articles.length === 0) {
-    articlesList.innerHTML = '<p style="text-align: center; color: #999;">No articles found matching your keywords.</p>';
+    articlesList.replaceChildren(noResults());
     return;
   }
 
-  articlesList.innerHTML = articles
-    .map(article => {
-      const isSelected = selectedArticles.has(article.id);
-      return `
-        <div class="article-item">
-          <input
-            type="checkbox"
-            class="article-checkbox"
-            data-article-id="${article.id}"
-            ${isSelected ? 'checked' : ''}
-          >
-          <div class="article-content">
-            <div class="article-title">${article.title}</div>
-            <div class="article-meta">
-              <span class="article-author">By ${article.author}</span>
-              <span class="article-source">${article.source}</span>
-            </div>
-            <div class="article-excerpt">${article.excerpt}</div>
-          </div>
-        </div>
-      `;
-    })
-    .join('');
-
-  // Add event listeners to checkboxes
-  document.querySelectorAll('.article-checkbox').forEach(checkbox => {
-    checkbox.addEventListener('change', (e) => {
-      const articleId = e.target.dataset.articleId;
-      if (e.target.checked) {
-        selectedArticles.add(articleId);
-      } else {
-        selectedArticles.delete(articleId);
-      }
-      updateSelectionCount();
-    });
-  });
+  articlesList.replaceChildren(...articles.map(editedArticle).map(article =>
+    articleItem(article, {
+      selected: selectedArticles.has(article.id),
+      // The sentence where the search first hits; the excerpt when the
+      // search only looked at author, outlet or title
+      snippet: keywordInContext(article, searchQuery),
+      alternates: getAlternates(article),
+      editPanel: article.id === editingId ? renderEditPanel(article) : null,
+    }, {
+      onToggle: (articleId, checked) => {
+        if (checked) {
+          selectedArticles.add(articleId);
+        } else {
+          selectedArticles.delete(articleId);
+        }
+        updateSelectionCount();
+      },
+      onEdit: startEditing,
+      onRemoveManual: removeManualArticle,
+    })));
 }
 
 /**
@@ -153,6 +724,136 @@ function updateSelectionCount() {
   const count = selectedArticles.size;
   selectionCount.textContent = `${count} selected`;
   generateBtn.disabled = count === 0;
+  previewBtn.disabled = count === 0;
+  emailBtn.disabled = count === 0;
+  renderPacketOrder();
+}
+
+/**
+ * The selected articles, with their hand edits
+ */
+function getSelectedArticles() {
+  return allArticles
+    .filter(article => selectedArticles.has(article.id))
+    .map(editedArticle);
+}
+
+function sortOptions() {
+  return { outletPriority, keywords };
+}
+
+/**
+ * Render the selected clips in packet order. Newly selected clips are
+ * slotted in by the current preset; hand-made moves are kept.
+ */
+function renderPacketOrder() {
+  const selected = getSelectedArticles();
+  const byId = new Map(selected.map(article => [article.id, article]));
+  packetOrder = arrangeSelection(packetOrder, selected, sortPreset, sortOptions());
+
+  packetOrderList.replaceChildren(...packetOrderItems(packetOrder.map(id => byId.get(id)), {
+    onMove: moveClip,
+    onDragStart: (i) => { dragIndex = i; },
+    onDrop: (i) => {
+      if (dragIndex !== null) moveClip(dragIndex, i);
+      dragIndex = null;
+    },
+  }));
+  renderPreview();
+}
+
+/**
+ * Move a clip within the packet order
+ */
+function moveClip(from, to, { focus = false } = {}) {
+  if (to < 0 || to >= packetOrder.length || from === to) return;
+  packetOrder = moveItem(packetOrder, from, to);
+  renderPacketOrder();
+  if (focus) packetOrderList.querySelector(`[data-index="${to}"]`)?.focus();
+}
+
+/**
+ * Re-sort the whole selection by the chosen preset, discarding hand-made moves
+ */
+function applySortPreset() {
+  sortPreset = sortPresetSelect.value;
+  localStorage.setItem(SORT_PRESET_KEY, sortPreset);
+  packetOrder = sortArticles(getSelectedArticles(), sortPreset, sortOptions()).map(article => article.id);
+  renderPacketOrder();
+}
+
+/**
+ * Save the outlet priority list (one outlet per line) and re-sort
+ */
+function handleOutletPriorityChange() {
+  const outlets = outletPriorityInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+  outletPriority = outlets.length ? outlets : DEFAULT_OUTLET_PRIORITY;
+  localStorage.setItem(OUTLET_PRIORITY_KEY, JSON.stringify(outletPriority));
+  applySortPreset();
+}
+
+/**
+ * Fill the sort preset picker, outlet priority box, contents layout and template from saved settings
+ */
+function initSortControls() {
+  sortPresetSelect.replaceChildren(...options(Object.entries(SORT_PRESETS).map(([id, preset]) => ({ value: id, label: preset.label }))));
+  sortPresetSelect.value = sortPreset;
+  outletPriorityInput.value = outletPriority.join('\n');
+
+  contentsSelect.replaceChildren(...options([
+    ...Object.entries(CONTENTS_GROUPINGS).map(([value, label]) => ({ value, label })),
+    { value: '', label: 'None' },
+  ]));
+  contentsSelect.value = contentsGrouping;
+
+  templateSelect.replaceChildren(...options(Object.entries(TEMPLATES).map(([value, { label }]) => ({ value, label }))));
+  templateSelect.value = templateName;
+}
+
+function handleContentsChange() {
+  contentsGrouping = contentsSelect.value;
+  localStorage.setItem(CONTENTS_KEY, contentsGrouping);
+  renderPreview();
+}
+
+function handleTemplateChange() {
+  templateName = templateSelect.value;
+  localStorage.setItem(TEMPLATE_KEY, templateName);
+  previewTemplate = undefined;
+  renderPreview();
+}
+
+/**
+ * A TEMPLATES entry from public/templates/, loaded once
+ */
+function fetchTemplate(name) {
+  const { file } = TEMPLATES[name] || TEMPLATES[DEFAULT_TEMPLATE];
+  if (!templateCache.has(file)) {
+    const loading = fetch(`./templates/${file}`)
+      .then(response => {
+        if (!response.ok) throw new Error(`template ${file} failed to load (${response.status})`);
+        return response.arrayBuffer();
+      })
+      .then(loadTemplate);
+    loading.catch(() => templateCache.delete(file)); // retry next time
+    templateCache.set(file, loading);
+  }
+  return templateCache.get(file);
+}
+
+/**
+ * Load the chosen template for the preview's cover and layout, then render again
+ */
+async function loadPreviewTemplate() {
+  const name = templateName;
+  try {
+    const template = await fetchTemplate(name);
+    if (name !== templateName) return; // changed while loading
+    previewTemplate = template;
+    renderPreview();
+  } catch (error) {
+    showMessage('Error loading template: ' + error.message, 'error');
+  }
 }
 
 /**
@@ -169,7 +870,10 @@ async function handleSearch() {
   }
 
   selectedArticles.clear();
-  renderArticles(filteredArticles);
+  currentManualArticles().forEach(article => selectedArticles.add(article.id));
+  facetSelections = {};
+  searchResults = filteredArticles.map(editedArticle);
+  renderResults();
   articlesSection.style.display = 'block';
   updateSelectionCount();
   messageDiv.style.display = 'none';
@@ -179,11 +883,68 @@ async function handleSearch() {
 }
 
 /**
- * Select all articles
+ * Re-run the search and re-render, keeping the current selection and filters
+ */
+function showArticleList() {
+  searchResults = filterArticles().map(editedArticle);
+  renderResults();
+  articlesSection.style.display = 'block';
+  updateSelectionCount();
+}
+
+/**
+ * The keywords with their parsed queries, for the keyword facet
+ */
+function parsedKeywords() {
+  return keywords.flatMap(keyword => {
+    try {
+      return [{ keyword, query: parseQuery(keyword) }];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Apply the facets to the search results and render the list and sidebar
+ */
+function renderResults() {
+  const parsed = parsedKeywords();
+  visibleArticles = filterByFacets(searchResults, facetSelections, parsed);
+  renderArticles(visibleArticles);
+  renderFacets(facetCounts(searchResults, facetSelections, parsed));
+}
+
+/**
+ * Render the facet sidebar: a checkbox and live count per value
+ */
+function renderFacets(facets) {
+  const anyTicked = Object.values(facetSelections).some(values => values.size);
+  facetSidebar.replaceChildren(...facetPanel(facets, {
+    shown: visibleArticles.length,
+    total: searchResults.length,
+    anyTicked,
+    onToggle: (facet, value, checked) => {
+      const ticked = facetSelections[facet] || (facetSelections[facet] = new Set());
+      if (checked) {
+        ticked.add(value);
+      } else {
+        ticked.delete(value);
+      }
+      renderResults();
+    },
+    onClear: () => {
+      facetSelections = {};
+      renderResults();
+    },
+  }));
+}
+
+/**
+ * Select all articles the keywords and facets currently show
  */
 function selectAllArticles() {
-  const filteredArticles = filterArticles();
-  filteredArticles.forEach(article => selectedArticles.add(article.id));
+  visibleArticles.forEach(article => selectedArticles.add(article.id));
   
   document.querySelectorAll('.article-checkbox').forEach(checkbox => {
     checkbox.checked = true;
@@ -203,6 +964,71 @@ function deselectAllArticles() {
   updateSelectionCount();
 }
 
+/**
+ * The cover carries the edition date
+ */
+function coverDate() {
+  return currentEdition ? editionToLocalDate(currentEdition) : new Date();
+}
+
+function packetOptions() {
+  return {
+    otherCoverage: otherCoverageCheckbox.checked,
+    order: packetOrder,
+    contents: contentsGrouping || null,
+    digest: currentDigest(),
+  };
+}
+
+/**
+ * "Chicago-Bears-Clips-2026-10-18.docx", or "…-Digest-<start>-to-<end>…"
+ */
+function packetFilename(extension) {
+  const digest = currentDigest();
+  if (digest) return `Chicago-Bears-Digest-${digest.start}-to-${digest.end}.${extension}`;
+  return `Chicago-Bears-Clips${currentEdition ? `-${currentEdition}` : ''}.${extension}`;
+}
+
+/**
+ * Render the open preview from the same packet generateDocx() builds;
+ * called whenever the selection, order or edits change
+ */
+function renderPreview() {
+  if (!previewOpen) return;
+  if (previewTemplate === undefined) {
+    previewTemplate = null; // loading
+    loadPreviewTemplate();
+  }
+  const packet = buildPacket(getSelectedArticles(), coverDate(), packetOptions());
+  const problems = packet.clips
+    .map(clip => ({ clip, warnings: clipWarnings(clip, previewTemplate) }))
+    .filter(({ warnings }) => warnings.length);
+
+  previewWarningsDiv.replaceChildren(...previewWarnings(problems, {
+    onShow: (clipId) => {
+      const page = [...previewPages.children].find(el => el.dataset.clipId === clipId);
+      page?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    },
+  }));
+  previewPages.replaceChildren(...packetPreview(paginatePacket(packet, previewTemplate), {
+    logoUrl: new URL('./images/bears-logo.png', location.href).href,
+    coverText: previewTemplate?.cover.filter(p => p.role === 'text').map(p => p.text),
+    flagged: new Set(problems.map(({ clip }) => clip.id)),
+  }));
+}
+
+function openPreview() {
+  previewOpen = true;
+  previewSection.style.display = 'block';
+  renderPreview();
+  previewSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closePreview() {
+  previewOpen = false;
+  previewSection.style.display = 'none';
+}
+
 /**
  * Handle generate
  */
@@ -216,13 +1042,11 @@ async function handleGenerate() {
     generateBtn.disabled = true;
     showMessage('Generating document...', 'info');
 
-    // Get selected articles
-    const articlesToInclude = allArticles.filter(article =>
-      selectedArticles.has(article.id)
-    );
-
-    // Generate and download
-    await downloadDocx(articlesToInclude);
+    // Selected articles with their hand edits, in packet order
+    const filename = packetFilename('docx');
+    const template = await fetchTemplate(templateName);
+    const doc = await generateDocx(getSelectedArticles(), coverDate(), { ...packetOptions(), template });
+    downloadBlob(await Packer.toBlob(doc), filename);
 
     showMessage('Document generated and downloaded successfully!', 'success');
   } catch (error) {
@@ -232,6 +1056,36 @@ async function handleGenerate() {
   }
 }
 
+/**
+ * Download the selected clips as an email draft (.eml) with HTML and
+ * plain-text bodies, for readers who don't open the .docx
+ */
+function handleEmailExport() {
+  if (selectedArticles.size === 0) {
+    showMessage('Please select at least one article', 'error');
+    return;
+  }
+
+  const { order, digest } = packetOptions();
+  const email = buildEmail(getSelectedArticles(), coverDate(), { order, digest });
+  downloadBlob(new Blob([emailMessage(email)], { type: 'message/rfc822' }), packetFilename('eml'));
+  showMessage(`Email with ${email.count} clip${email.count === 1 ? '' : 's'} downloaded — open it in your mail client to send.`, 'success');
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Show message
  */
@@ -254,17 +1108,47 @@ addKeywordBtn.addEventListener('click', addKeyword);
 keywordInput.addEventListener('keypress', (e) => {
   if (e.key === 'Enter') addKeyword();
 });
+editionSelect.addEventListener('change', handleEditionChange);
+digestCheckbox.addEventListener('change', handleDigestToggle);
+digestStartSelect.addEventListener('change', handleDigestStartChange);
 searchBtn.addEventListener('click', handleSearch);
 selectAllBtn.addEventListener('click', selectAllArticles);
 deselectAllBtn.addEventListener('click', deselectAllArticles);
 generateBtn.addEventListener('click', handleGenerate);
+emailBtn.addEventListener('click', handleEmailExport);
+previewBtn.addEventListener('click', openPreview);
+previewDownloadBtn.addEventListener('click', handleGenerate);
+previewCloseBtn.addEventListener('click', closePreview);
+otherCoverageCheckbox.addEventListener('change', renderPreview);
+contentsSelect.addEventListener('change', handleContentsChange);
+templateSelect.addEventListener('change', handleTemplateChange);
+manualForm.addEventListener('submit', handleManualSubmit);
+manualImportInput.addEventListener('change', handleManualImport);
+profileSelect.addEventListener('change', handleProfileChange);
+profileSaveBtn.addEventListener('click', saveProfile);
+profileSaveAsBtn.addEventListener('click', saveProfileAs);
+profileDeleteBtn.addEventListener('click', removeProfile);
+profileExportBtn.addEventListener('click', handleProfileExport);
+profileImportInput.addEventListener('change', handleProfileImport);
+copyLinkBtn.addEventListener('click', copySearchLink);
+sortPresetSelect.addEventListener('change', applySortPreset);
+applySortBtn.addEventListener('click', applySortPreset);
+outletPriorityInput.addEventListener('change', handleOutletPriorityChange);
 
 /**
  * Initialize app
  */
 async function init() {
   renderKeywords();
+  initSortControls();
+  loadScrapeReport();
+  if (!await loadEditions()) {
+    editionSelect.replaceChildren(...options([{ value: '', label: 'Latest' }]));
+  }
+  updateUrl();
   await loadArticles();
+  if (linkedSearch.keywords) handleSearch(); // open a shared search as it was
+
 }
 
 // Start the app
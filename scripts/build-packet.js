@@ -0,0 +1,131 @@
+/**
+ * Build the clips packet from the command line, e.g. after the morning scrape.
+ *
+ *   node scripts/build-packet.js --query "Bears" --query "author:Biggs"
+ *   node scripts/build-packet.js --edition 2026-10-18 --ids 47d1ac6e11edea7d,cebaa65013458057
+ *   node scripts/build-packet.js --articles public/data/articles.json --query "Caleb Williams" \
+ *     --template gameday --contents outlet --out packet.docx
+ *   node scripts/build-packet.js --from 2026-10-17 --edition 2026-10-19 --query "Bears" --template weekly
+ *
+ * Articles come from --articles, else the --edition file, else the edition
+ * due out now (or the newest on file), else public/data/articles.json.
+ * With --from, every edition from that day through that one goes into a
+ * digest: a "WEEK OF" cover, a summary page and a divider per day. The
+ * document is the one the web app downloads: same generator, same
+ * templates from public/templates/.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parseArgs } from 'util';
+import { Packer } from 'docx';
+import { generateDocx } from '../src/docx-generator.js';
+import { loadTemplate, TEMPLATES, DEFAULT_TEMPLATE } from '../src/docx-template.js';
+import { CONTENTS_GROUPINGS, MAX_DIGEST_DAYS } from '../src/packet.js';
+import { SORT_PRESETS, DEFAULT_PRESET } from '../src/clip-order.js';
+import { editionToLocalDate } from '../src/edition.js';
+import { readArticles, readDigestArticles, pickArticles } from './lib/packet-input.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, '..', 'public', 'data');
+const TEMPLATES_DIR = join(__dirname, '..', 'public', 'templates');
+
+const USAGE = `Usage: node scripts/build-packet.js (--ids <id,id,…> | --query <query>…) [options]
+
+  --articles <file>        articles.json or an edition file
+  --edition <YYYY-MM-DD>   an edition from public/data/editions/
+  --from <YYYY-MM-DD>      a digest of the editions from this day through --edition
+                           (or the one due now), up to ${MAX_DIGEST_DAYS} days
+  --ids <id,id,…>          these articles, in this order
+  --query <query>          articles matching the query (repeatable; any may match)
+  --sort <preset>          order for --query: ${Object.keys(SORT_PRESETS).join(', ')} (default ${DEFAULT_PRESET})
+  --template <name>        ${Object.keys(TEMPLATES).join(', ')} (default ${DEFAULT_TEMPLATE})
+  --contents <layout>      ${Object.keys(CONTENTS_GROUPINGS).join(', ')} or none (default order)
+  --no-other-coverage      give teasers clip pages instead of the appendix
+  --date <YYYY-MM-DD>      cover date (default: the edition's, else today)
+  --logo <image>           PNG/JPEG/GIF to use instead of the template's logo
+  --out <file>             where to write the .docx`;
+
+function fail(message) {
+  console.error(message);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+async function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        articles: { type: 'string' },
+        edition: { type: 'string' },
+        from: { type: 'string' },
+        ids: { type: 'string', multiple: true, default: [] },
+        query: { type: 'string', multiple: true, default: [] },
+        sort: { type: 'string', default: DEFAULT_PRESET },
+        template: { type: 'string', default: DEFAULT_TEMPLATE },
+        contents: { type: 'string', default: 'order' },
+        'no-other-coverage': { type: 'boolean', default: false },
+        date: { type: 'string' },
+        logo: { type: 'string' },
+        out: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    fail(error.message);
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const ids = args.ids.flatMap(list => list.split(',')).map(id => id.trim()).filter(Boolean);
+  if (!ids.length && !args.query.length) fail('Give --ids or --query.');
+  if (ids.length && args.query.length) fail('Give --ids or --query, not both.');
+  if (!SORT_PRESETS[args.sort]) fail(`Unknown sort preset: ${args.sort}`);
+  if (!TEMPLATES[args.template]) fail(`Unknown template: ${args.template}`);
+  if (args.contents !== 'none' && !CONTENTS_GROUPINGS[args.contents]) fail(`Unknown contents layout: ${args.contents}`);
+  if (args.from && args.articles) fail(`--from reads the edition archive, so it can't be used with --articles.`);
+  for (const key of ['edition', 'from', 'date']) {
+    if (args[key] && !/^\d{4}-\d{2}-\d{2}$/.test(args[key])) fail(`--${key} must be YYYY-MM-DD`);
+  }
+
+  let clips, edition;
+  const digest = args.from ? { start: args.from } : null;
+  try {
+    let articles;
+    ({ articles, edition } = readArticles({ dataDir: DATA_DIR, edition: args.edition, file: args.articles }));
+    if (digest) {
+      if (!edition) throw new Error('--from needs the edition archive in public/data/editions/');
+      digest.end = edition;
+      ({ articles } = readDigestArticles({ dataDir: DATA_DIR, ...digest }));
+    }
+    clips = pickArticles(articles, { ids, queries: args.query, preset: args.sort });
+  } catch (error) {
+    fail(error.message);
+  }
+  if (clips.length === 0) fail('No articles match.');
+
+  const date = args.date || edition;
+  const template = await loadTemplate(readFileSync(join(TEMPLATES_DIR, TEMPLATES[args.template].file)));
+  const doc = await generateDocx(clips, date ? editionToLocalDate(date) : new Date(), {
+    template,
+    logo: args.logo ? readFileSync(args.logo) : undefined,
+    otherCoverage: !args['no-other-coverage'],
+    contents: args.contents === 'none' ? null : args.contents,
+    digest,
+  });
+
+  const out = args.out || (digest
+    ? `Chicago-Bears-Digest-${digest.start}-to-${digest.end}.docx`
+    : `Chicago-Bears-Clips${date ? `-${date}` : ''}.docx`);
+  writeFileSync(out, await Packer.toBuffer(doc));
+  console.log(`Wrote ${clips.length} clip${clips.length === 1 ? '' : 's'} to ${out}`);
+}
+
+main().catch(err => {
+  console.error('Fatal:', err);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+/**
+ * Check that a built site has the files the web app fetches at runtime.
+ * Vite only bundles what the page imports; the data, logo and Word
+ * templates are copied into dist/ by the deploy workflow, so a folder left
+ * out of that step would only show up when someone downloads a packet.
+ *
+ *   node scripts/check-build.js [dist]
+ */
+
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { TEMPLATES } from '../src/docx-template.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const REQUIRED = [
+  'index.html',
+  'data/articles.json',
+  'images/bears-logo.png',
+  ...Object.values(TEMPLATES).map(({ file }) => `templates/${file}`),
+];
+
+const dist = process.argv[2] || join(__dirname, '..', 'dist');
+const missing = REQUIRED.filter(file => !existsSync(join(dist, file)));
+if (missing.length) {
+  console.error(`${dist} is missing:\n${missing.map(file => `  ${file}`).join('\n')}`);
+  process.exit(1);
+}
+console.log(`${dist} has all ${REQUIRED.length} runtime files`);
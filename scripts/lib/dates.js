@@ -0,0 +1,151 @@
+/**
+ * Publish-date normalization.
+ * Listings hand us "2 hours ago", "Updated Feb 17", "October 17, 2026 at
+ * 6:10 PM" or nothing at all. parseDate() turns those into real instants,
+ * reading zone-less times as Chicago time, and says how precise the result
+ * is. When the listing couldn't tell us, readPageMetadata() (metadata.js)
+ * reads the publish time from the article page instead.
+ */
+
+import { cleanText } from './text.js';
+import { getCentralParts, centralTimeToDate, toDateString, addDays } from '../../src/edition.js';
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+
+const UNIT_MS = {
+  second: 1000, sec: 1000,
+  minute: 60 * 1000, min: 60 * 1000,
+  hour: 60 * 60 * 1000, hr: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Hours to add to a US zone's wall-clock time to get Chicago wall-clock time
+const ZONE_TO_CENTRAL = { et: -1, est: -1, edt: -1, ct: 0, cst: 0, cdt: 0, mt: 1, mst: 1, mdt: 1, pt: 2, pst: 2, pdt: 2 };
+
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\\.?';
+const TIME = '(?:,?\\s*(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*([ap])\\.?\\s*m\\.?)?(?:\\s*(et|est|edt|ct|cst|cdt|mt|mst|mdt|pt|pst|pdt)\\b)?';
+const MONTH_DAY = new RegExp(`${MONTH_NAME}\\s+(\\d{1,2})(?!\\d)(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?${TIME}`, 'i');
+const NUMERIC_DATE = new RegExp(`(\\d{1,2})/(\\d{1,2})/(\\d{2,4})${TIME}`, 'i');
+const RELATIVE = /^(\d+|an?|one)\s*(second|sec|minute|min|hour|hr|day|week)s?\.?\s+ago$/i;
+const HAS_ZONE = /(z|[+-]\d{2}:?\d{2}|\bgmt|\butc)$/i;
+const ANY_ZONE = /\b(z|gmt|utc|[ecmp][sd]t)\b|[+-]\d{2}:?\d{2}\b/i;
+
+function exact(date) {
+  return isNaN(date) ? null : { date, precision: 'time' };
+}
+
+// Day-only dates are pinned to noon Central so they land in a sensible edition
+function dayOnly(dateStr) {
+  return { date: centralTimeToDate(dateStr, 12), precision: 'day' };
+}
+
+// Build a Chicago date from wall-clock parts, choosing the year (when the
+// listing left it out) so the date isn't in the future
+function fromParts({ year, month, day, hour, minute, meridiem, zone }, now) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  if (!year) {
+    year = getCentralParts(new Date(now)).year;
+    if (centralTimeToDate(toDateString(year, month, day)).getTime() > now + UNIT_MS.day) year -= 1;
+  } else if (year < 100) {
+    year += 2000;
+  }
+  const dateStr = toDateString(year, month, day);
+
+  if (hour === undefined) return dayOnly(dateStr);
+
+  hour %= 12;
+  if (meridiem.toLowerCase() === 'p') hour += 12;
+  hour += ZONE_TO_CENTRAL[zone?.toLowerCase()] || 0;
+  return exact(centralTimeToDate(addDays(dateStr, Math.floor(hour / 24)), ((hour % 24) + 24) % 24, minute));
+}
+
+function timeParts(match, offset) {
+  return {
+    hour: match[offset] === undefined ? undefined : Number(match[offset]),
+    minute: Number(match[offset + 1] || 0),
+    meridiem: match[offset + 2] || '',
+    zone: match[offset + 3],
+  };
+}
+
+/**
+ * Parse a publish date as it appears in a feed, API or listing.
+ * Returns { date, precision: 'time' | 'day' } or null when unparseable.
+ */
+export function parseDate(raw, now = Date.now()) {
+  if (raw === null || raw === undefined || raw === '') return null;
+
+  // Epoch seconds or milliseconds (data-timestamp attributes)
+  if (typeof raw === 'number' || /^\d{10}(\d{3})?$/.test(String(raw).trim())) {
+    const n = Number(raw);
+    return exact(new Date(n < 1e12 ? n * 1000 : n));
+  }
+
+  const text = cleanText(String(raw))
+    .replace(/^(updated|published|posted)(\s+on)?\s*:?\s*/i, '')
+    .replace(/\s*\|.*$/, '');
+  if (!text) return null;
+  const lower = text.toLowerCase();
+
+  if (/^(just now|moments? ago|now)$/.test(lower)) return exact(new Date(now));
+
+  const relative = lower.match(RELATIVE);
+  if (relative) {
+    const count = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+    const unit = relative[2].toLowerCase();
+    const date = new Date(now - count * UNIT_MS[unit]);
+    if (unit !== 'day' && unit !== 'week') return exact(date);
+    const { year, month, day } = getCentralParts(date);
+    return dayOnly(toDateString(year, month, day));
+  }
+
+  if (lower === 'today' || lower === 'yesterday') {
+    const { year, month, day } = getCentralParts(new Date(now));
+    const today = toDateString(year, month, day);
+    return dayOnly(lower === 'today' ? today : addDays(today, -1));
+  }
+
+  // ISO 8601 / RFC 2822 with a zone: the platform parser is exact
+  if (/\d{1,2}:\d{2}/.test(text) && HAS_ZONE.test(text)) return exact(new Date(text));
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[t\s](\d{2}):(\d{2}))?/i);
+  if (iso) {
+    const [, year, month, day, hour, minute] = iso.map(Number);
+    const dateStr = toDateString(year, month, day);
+    return hour === undefined || isNaN(hour) ? dayOnly(dateStr) : exact(centralTimeToDate(dateStr, hour, minute));
+  }
+
+  const named = text.match(MONTH_DAY);
+  if (named) {
+    return fromParts({
+      year: named[3] && Number(named[3]),
+      month: MONTHS[named[1].toLowerCase()],
+      day: Number(named[2]),
+      ...timeParts(named, 4),
+    }, now);
+  }
+
+  const numeric = text.match(NUMERIC_DATE);
+  if (numeric) {
+    return fromParts({
+      year: Number(numeric[3]),
+      month: Number(numeric[1]),
+      day: Number(numeric[2]),
+      ...timeParts(numeric, 4),
+    }, now);
+  }
+
+  // Last resort: anything else the platform understands that carries a time.
+  // It reads zone-less times in the server's zone, so move the wall clock it
+  // read to Chicago.
+  if (!/\d{1,2}:\d{2}/.test(text)) return null;
+  const fallback = new Date(text);
+  if (isNaN(fallback) || ANY_ZONE.test(text)) return exact(fallback);
+  const dateStr = toDateString(fallback.getFullYear(), fallback.getMonth() + 1, fallback.getDate());
+  return exact(centralTimeToDate(dateStr, fallback.getHours(), fallback.getMinutes()));
+}
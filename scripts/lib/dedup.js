@@ -0,0 +1,144 @@
+/**
+ * Near-duplicate detection across outlets.
+ * AP wire stories run on several sites under different URLs, so urlToId()
+ * gives each copy its own id. clusterArticles() groups copies of the same
+ * story by headline and body similarity and picks one canonical version.
+ */
+
+const SHINGLE_SIZE = 5;           // words per shingle for body comparison
+const MIN_BODY_SHINGLES = 40;     // bodies shorter than this are compared by headline only
+const BODY_CONTAINMENT = 0.6;     // share of the shorter body found in the longer one
+const HEADLINE_SIMILARITY = 0.8;  // Jaccard over headline words
+const MIN_HEADLINE_WORDS = 4;     // short headlines ("Bears notes") are too generic to match on
+
+export function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function words(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+function shingles(tokens) {
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    set.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return set;
+}
+
+function intersectionSize(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let count = 0;
+  for (const item of small) if (large.has(item)) count++;
+  return count;
+}
+
+function jaccard(a, b) {
+  const union = a.size + b.size - intersectionSize(a, b);
+  return union === 0 ? 0 : intersectionSize(a, b) / union;
+}
+
+function containment(a, b) {
+  const smaller = Math.min(a.size, b.size);
+  return smaller === 0 ? 0 : intersectionSize(a, b) / smaller;
+}
+
+function fingerprint(article) {
+  const headlineWords = words(article.title);
+  return {
+    headlineWords: new Set(headlineWords),
+    body: shingles(words(article.content)),
+  };
+}
+
+// Headlines match only when long enough to be specific: an identical
+// "Bears mailbag" or "Injury report" from two outlets is two stories, and
+// is only merged if the bodies match too
+function isNearDuplicate(a, b) {
+  if (
+    a.headlineWords.size >= MIN_HEADLINE_WORDS &&
+    b.headlineWords.size >= MIN_HEADLINE_WORDS &&
+    jaccard(a.headlineWords, b.headlineWords) >= HEADLINE_SIMILARITY
+  ) {
+    return true;
+  }
+
+  return (
+    a.body.size >= MIN_BODY_SHINGLES &&
+    b.body.size >= MIN_BODY_SHINGLES &&
+    containment(a.body, b.body) >= BODY_CONTAINMENT
+  );
+}
+
+// Fullest text wins; ties go to the earliest publisher (usually the wire)
+function pickCanonical(members) {
+  return [...members].sort((a, b) =>
+    (b.content || '').length - (a.content || '').length ||
+    new Date(a.publishedAt || 0) - new Date(b.publishedAt || 0)
+  )[0];
+}
+
+/**
+ * Group near-duplicate articles. Returns clusters of two or more:
+ * [{ canonicalId, alternateIds }]
+ */
+export function clusterArticles(articles) {
+  const prints = articles.map(fingerprint);
+  const parent = articles.map((_, i) => i);
+
+  const find = i => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let i = 0; i < articles.length; i++) {
+    for (let j = i + 1; j < articles.length; j++) {
+      if (find(i) !== find(j) && isNearDuplicate(prints[i], prints[j])) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  articles.forEach((article, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(article);
+  });
+
+  return [...groups.values()]
+    .filter(members => members.length > 1)
+    .map(members => {
+      const canonical = pickCanonical(members);
+      return {
+        canonicalId: canonical.id,
+        alternateIds: members.filter(a => a !== canonical).map(a => a.id),
+      };
+    });
+}
+
+/**
+ * Cluster and mark each alternate with `duplicateOf: <canonical id>`.
+ * Clears stale marks carried over from earlier runs first.
+ */
+export function markDuplicates(articles) {
+  for (const article of articles) delete article.duplicateOf;
+
+  const clusters = clusterArticles(articles);
+  const byId = new Map(articles.map(a => [a.id, a]));
+  for (const cluster of clusters) {
+    for (const id of cluster.alternateIds) byId.get(id).duplicateOf = cluster.canonicalId;
+  }
+  return clusters;
+}
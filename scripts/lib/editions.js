@@ -0,0 +1,119 @@
+/**
+ * Dated edition archive.
+ * Articles are stored per edition in public/data/editions/YYYY-MM-DD.json,
+ * with index.json listing every edition, so any past day's packet can be
+ * rebuilt from the web app.
+ */
+
+import { writeFileSync, readFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { editionWindow } from '../../src/edition.js';
+import { hasFullText } from '../../src/content-status.js';
+import { markDuplicates } from './dedup.js';
+
+const EDITION_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+function byNewest(a, b) {
+  return new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0);
+}
+
+export function readEdition(dir, date) {
+  const path = join(dir, `${date}.json`);
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null; // a corrupt file is rebuilt from this run's articles
+  }
+}
+
+/**
+ * The newly scraped copy of a stored article. When the re-scrape only got
+ * the listing's teaser (say the follow limit was reached) but the stored
+ * copy has the whole story, the stored body is kept.
+ */
+export function mergeArticle(stored, incoming) {
+  if (!stored || hasFullText(incoming) || !hasFullText(stored)) return incoming;
+  const { content, body, contentStrategy, contentStatus } = stored;
+  return { ...incoming, content, body, contentStrategy, contentStatus };
+}
+
+/**
+ * Merge freshly scraped articles into an edition. New copies replace stored
+ * ones with the same id (keeping a fuller stored body, see mergeArticle());
+ * stored articles the sites no longer list are kept.
+ */
+export function mergeEdition(date, existing, incoming, now = new Date()) {
+  const byId = new Map();
+  for (const article of existing?.articles || []) byId.set(article.id, article);
+  for (const article of incoming) byId.set(article.id, mergeArticle(byId.get(article.id), article));
+
+  const articles = [...byId.values()].sort(byNewest);
+
+  // Syndicated copies of the same story get different URLs (and ids);
+  // group them so the UI can offer one version of each
+  const clusters = markDuplicates(articles);
+
+  const { start, end } = editionWindow(date);
+  return {
+    edition: date,
+    window: { start: start.toISOString(), end: end.toISOString() },
+    lastUpdated: now.toISOString(),
+    articles,
+    clusters,
+  };
+}
+
+/**
+ * Take articles out of editions they no longer belong to. `placed` maps the
+ * id of every article this run filed to its edition; a story whose publish
+ * date changed since it was stored is removed from its old edition file,
+ * which is rewritten. Returns the stored copies taken out (by id), to merge
+ * into their new edition, and the editions rewritten.
+ */
+export function removeMovedArticles(dir, placed, now = new Date()) {
+  const moved = new Map();
+  const rewritten = [];
+  if (!existsSync(dir)) return { moved, rewritten };
+
+  for (const date of readdirSync(dir).map(file => file.match(EDITION_FILE)?.[1]).filter(Boolean).sort()) {
+    const edition = readEdition(dir, date);
+    if (!edition) continue;
+    const leaving = edition.articles.filter(a => placed.has(a.id) && placed.get(a.id) !== date);
+    if (leaving.length === 0) continue;
+
+    leaving.forEach(article => moved.set(article.id, article));
+    const updated = mergeEdition(date, { articles: edition.articles.filter(a => !leaving.includes(a)) }, [], now);
+    writeEdition(dir, updated);
+    rewritten.push(updated);
+  }
+  return { moved, rewritten };
+}
+
+export function writeEdition(dir, edition) {
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, `${edition.edition}.json`), JSON.stringify(edition, null, 2));
+}
+
+/**
+ * Rebuild index.json from the edition files on disk, newest first.
+ */
+export function writeIndex(dir, now = new Date()) {
+  const editions = readdirSync(dir)
+    .map(file => file.match(EDITION_FILE)?.[1])
+    .filter(Boolean)
+    .sort()
+    .reverse()
+    .map(date => {
+      const edition = readEdition(dir, date);
+      return {
+        date,
+        articleCount: edition?.articles?.length || 0,
+        lastUpdated: edition?.lastUpdated || null,
+      };
+    });
+
+  const index = { lastUpdated: now.toISOString(), editions };
+  writeFileSync(join(dir, 'index.json'), JSON.stringify(index, null, 2));
+  return index;
+}
@@ -0,0 +1,103 @@
+/**
+ * Article body extraction for followed links.
+ * Tries the source's configured articleBodySelector first. When that matches
+ * nothing useful (usually after a site redesign), falls back to a
+ * readability-style scan that scores DOM blocks by paragraph count, text
+ * density and link density and keeps the best one.
+ */
+
+import { extractBlocks, blocksToText } from './text.js';
+
+export const MIN_BODY_CHARS = 200; // shorter than this is a teaser, not a story
+
+// Page chrome removed before either strategy runs
+const PAGE_JUNK = 'script, style, noscript, iframe, form, button, svg, nav, aside, footer';
+
+// Removed from inside the configured body selector's match
+const BODY_JUNK = 'figure, figcaption, .ad, [class*="ad-"], [class*="promo"], [class*="related"]';
+
+// Class/id hints used by the fallback scorer
+const POSITIVE_HINT = /article|body|content|entry|main|post|story|text/i;
+const NEGATIVE_HINT = /comment|sidebar|related|recirc|rail|promo|advert|sponsor|share|social|newsletter|subscribe|footer|header|menu|nav|byline|author|caption|breadcrumb|tags?\b|widget|popup|modal/i;
+
+const CANDIDATE_TAGS = new Set(['article', 'main', 'section', 'div', 'td']);
+const MIN_PARAGRAPH_CHARS = 25;
+
+function hintWeight(node) {
+  const hint = `${node.attribs?.class || ''} ${node.attribs?.id || ''}`;
+  let weight = 0;
+  if (POSITIVE_HINT.test(hint)) weight += 25;
+  if (NEGATIVE_HINT.test(hint)) weight -= 25;
+  return weight;
+}
+
+function linkDensity($, $node) {
+  const textLength = $node.text().trim().length;
+  if (textLength === 0) return 1;
+  const linkLength = $node.find('a').text().trim().length;
+  return linkLength / textLength;
+}
+
+/**
+ * Score every block that holds paragraphs and return the best one, or null.
+ * Each paragraph credits its parent in full and its grandparent by half, so
+ * the wrapper around the story's run of <p>s wins over page chrome.
+ */
+export function findMainContent($) {
+  const scores = new Map();
+
+  const credit = (node, amount) => {
+    if (!node || node.type !== 'tag' || !CANDIDATE_TAGS.has(node.name)) return;
+    if (!scores.has(node)) scores.set(node, hintWeight(node));
+    scores.set(node, scores.get(node) + amount);
+  };
+
+  $('p').each((i, p) => {
+    const text = $(p).text().trim();
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+
+    // One point per paragraph, plus commas and length as a proxy for prose
+    const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    credit(p.parent, score);
+    credit(p.parent?.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, $(node)));
+    if (adjusted > bestScore) {
+      best = node;
+      bestScore = adjusted;
+    }
+  }
+  return best;
+}
+
+/**
+ * Extract an article body from a fetched page.
+ * Returns { blocks, strategy } where strategy is 'selector' or 'readability',
+ * or null when neither produced a full-length body.
+ */
+export function extractArticleBody($, bodySelector) {
+  $(PAGE_JUNK).remove();
+
+  if (bodySelector) {
+    const $body = $(bodySelector).first();
+    if ($body.length) {
+      $body.find(BODY_JUNK).remove();
+      const blocks = extractBlocks($, $body);
+      if (blocksToText(blocks).length > MIN_BODY_CHARS) return { blocks, strategy: 'selector' };
+    }
+  }
+
+  const main = findMainContent($);
+  if (main) {
+    // Drop author/share/caption blocks inside the winner before flattening
+    $(main).find('*').filter((i, el) => NEGATIVE_HINT.test(`${el.attribs?.class || ''} ${el.attribs?.id || ''}`)).remove();
+    const blocks = extractBlocks($, main);
+    if (blocksToText(blocks).length > MIN_BODY_CHARS) return { blocks, strategy: 'readability' };
+  }
+
+  return null;
+}
@@ -0,0 +1,311 @@
+/**
+ * Polite HTTP fetching for the scrapers.
+ * Every request goes through one scheduler that:
+ *   - limits concurrent requests and spaces them out per host
+ *     (robots.txt Crawl-delay raises the spacing)
+ *   - retries 429, 5xx and network failures with exponential backoff,
+ *     honouring Retry-After
+ *   - sends If-None-Match / If-Modified-Since from an on-disk cache and
+ *     serves the cached body on 304
+ *   - skips URLs the site's robots.txt disallows
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, statSync, rmSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+export const ROBOTS_AGENT = 'bears-clips'; // our token in robots.txt User-agent lines
+
+// Who is asking, and where to reach them: SCRAPER_CONTACT_URL if set, else
+// the repository when running in GitHub Actions
+const CONTACT_URL = process.env.SCRAPER_CONTACT_URL ||
+  (process.env.GITHUB_REPOSITORY ? `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${process.env.GITHUB_REPOSITORY}` : '');
+export const USER_AGENT = `${ROBOTS_AGENT}/1.0${CONTACT_URL ? ` (+${CONTACT_URL})` : ''}`;
+
+const DEFAULT_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+const MAX_RETRY_AFTER_MS = 30000;
+const MAX_CRAWL_DELAY_MS = 10000;
+const CACHE_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000; // drop cache entries unused this long
+
+function defaultSleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// ---------------------------------------------------------------------------
+// robots.txt
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse robots.txt into the rules for our agent: the group naming
+ * ROBOTS_AGENT if there is one, else the `*` group.
+ * Returns { rules: [{ allow, pattern }], crawlDelayMs }.
+ */
+export function parseRobots(text, agent = ROBOTS_AGENT) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (key === 'allow' || key === 'disallow') {
+      if (value) current.rules.push({ allow: key === 'allow', pattern: value });
+    } else if (key === 'crawl-delay') {
+      const seconds = Number(value);
+      if (seconds > 0) current.crawlDelayMs = Math.min(seconds * 1000, MAX_CRAWL_DELAY_MS);
+    }
+  }
+
+  const group =
+    groups.find(g => g.agents.includes(agent.toLowerCase())) ||
+    groups.find(g => g.agents.includes('*'));
+  return { rules: group?.rules || [], crawlDelayMs: group?.crawlDelayMs || null };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Whether robots rules allow a path (with query). The longest matching
+ * rule wins; Allow wins a tie.
+ */
+export function isAllowed(robots, path) {
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!patternToRegExp(rule.pattern).test(path)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+const ALLOW_ALL = { rules: [], crawlDelayMs: null };
+const DISALLOW_ALL = { rules: [{ allow: false, pattern: '/' }], crawlDelayMs: null };
+
+// ---------------------------------------------------------------------------
+// Conditional-request cache
+// ---------------------------------------------------------------------------
+
+function cachePath(cacheDir, url) {
+  return join(cacheDir, `${createHash('sha1').update(url).digest('hex')}.json`);
+}
+
+function readCache(cacheDir, url) {
+  if (!cacheDir) return null;
+  const path = cachePath(cacheDir, url);
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// A 304 counts as use, so pages still being listed stay cached
+function touchCache(cacheDir, url) {
+  const now = new Date();
+  utimesSync(cachePath(cacheDir, url), now, now);
+}
+
+function writeCache(cacheDir, url, resp, text) {
+  const etag = resp.headers.get('etag');
+  const lastModified = resp.headers.get('last-modified');
+  if (!cacheDir || (!etag && !lastModified)) return;
+  mkdirSync(cacheDir, { recursive: true });
+  writeFileSync(cachePath(cacheDir, url), JSON.stringify({ url, etag, lastModified, text }));
+}
+
+/**
+ * Delete cache entries that haven't been written or revalidated recently.
+ */
+export function pruneCache(cacheDir, maxAgeMs = CACHE_MAX_AGE_MS) {
+  if (!cacheDir || !existsSync(cacheDir)) return 0;
+  let removed = 0;
+  for (const file of readdirSync(cacheDir)) {
+    const path = join(cacheDir, file);
+    if (Date.now() - statSync(path).mtimeMs > maxAgeMs) {
+      rmSync(path);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// ---------------------------------------------------------------------------
+// Scheduler
+// ---------------------------------------------------------------------------
+
+/**
+ * Create the fetcher shared by one scrape run.
+ *   fetch           — WHATWG fetch (tests pass a fixture replayer)
+ *   concurrency     — simultaneous requests per host
+ *   minIntervalMs   — minimum gap between request starts on one host
+ *   retries         — extra attempts after a 429, 5xx or network failure
+ *   backoffMs       — first retry delay; doubles each attempt
+ *   cacheDir        — where ETag/Last-Modified responses are kept; null disables
+ *   robots          — check robots.txt before fetching
+ *   sleep           — injectable for tests
+ *
+ * get(url, { accept, timeoutMs }) resolves to { status, text, cached, blocked }:
+ * text is null when the request failed; status is null when no response
+ * came back at all (timeout, DNS, robots.txt).
+ */
+export function createFetcher({
+  fetch = globalThis.fetch,
+  concurrency = 2,
+  minIntervalMs = 600,
+  retries = 2,
+  backoffMs = 1000,
+  cacheDir = null,
+  robots = true,
+  sleep = defaultSleep,
+} = {}) {
+  const hosts = new Map();
+
+  function hostState(origin) {
+    if (!hosts.has(origin)) {
+      hosts.set(origin, { active: 0, waiting: [], nextStart: 0, robots: null, intervalMs: minIntervalMs });
+    }
+    return hosts.get(origin);
+  }
+
+  // Wait for a free slot on the host, then for its rate limit
+  async function acquire(host) {
+    while (host.active >= concurrency) {
+      await new Promise(resolve => host.waiting.push(resolve));
+    }
+    host.active++;
+    const now = Date.now();
+    const wait = host.nextStart - now;
+    host.nextStart = Math.max(now, host.nextStart) + host.intervalMs;
+    if (wait > 0) await sleep(wait);
+  }
+
+  function release(host) {
+    host.active--;
+    host.waiting.shift()?.();
+  }
+
+  async function attempt(url, headers, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const resp = await fetch(url, { signal: controller.signal, headers });
+      // Read the body inside the timeout so a stalled download aborts too
+      const text = resp.status === 304 ? null : await resp.text();
+      return { resp, text };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function retryDelay(resp, attemptNo) {
+    const retryAfter = Number(resp?.headers.get('retry-after'));
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+    return backoffMs * 2 ** attemptNo;
+  }
+
+  // One request with retries; the host slot is held per attempt so a
+  // backing-off request doesn't block its host
+  async function request(url, host, { accept, timeoutMs, conditional }) {
+    const cached = conditional ? readCache(cacheDir, url) : null;
+    const headers = { 'User-Agent': USER_AGENT, 'Accept': accept, 'Accept-Language': 'en-US,en;q=0.9' };
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    for (let attemptNo = 0; ; attemptNo++) {
+      let result = null;
+      let error = null;
+      await acquire(host);
+      try {
+        result = await attempt(url, headers, timeoutMs);
+      } catch (err) {
+        error = err;
+      } finally {
+        release(host);
+      }
+
+      const status = result?.resp.status ?? null;
+      const retryable = error || status === 429 || status >= 500;
+      if (retryable && attemptNo < retries) {
+        await sleep(retryDelay(result?.resp, attemptNo));
+        continue;
+      }
+
+      if (error) {
+        console.warn(`  Fetch failed (${url}): ${error.name === 'AbortError' ? 'timed out' : error.message}`);
+        return { status: null, text: null, cached: false, blocked: false };
+      }
+      if (status === 304 && cached) {
+        touchCache(cacheDir, url);
+        return { status: 200, text: cached.text, cached: true, blocked: false };
+      }
+      if (!result.resp.ok) {
+        console.warn(`  HTTP ${status} from ${url}`);
+        return { status, text: null, cached: false, blocked: false };
+      }
+      if (conditional) writeCache(cacheDir, url, result.resp, result.text);
+      return { status, text: result.text, cached: false, blocked: false };
+    }
+  }
+
+  // robots.txt per host, fetched once. 4xx means no rules; 5xx or no
+  // response means stay away this run (RFC 9309)
+  function loadRobots(origin, host) {
+    if (!host.robots) {
+      host.robots = request(`${origin}/robots.txt`, host, { accept: 'text/plain', timeoutMs: 10000, conditional: false })
+        .then(({ status, text }) => {
+          if (text !== null) return parseRobots(text);
+          return status !== null && status < 500 ? ALLOW_ALL : DISALLOW_ALL;
+        })
+        .then(parsed => {
+          if (parsed.crawlDelayMs) host.intervalMs = Math.max(minIntervalMs, parsed.crawlDelayMs);
+          return parsed;
+        });
+    }
+    return host.robots;
+  }
+
+  async function get(url, { accept = DEFAULT_ACCEPT, timeoutMs = 15000 } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      console.warn(`  Bad URL: ${url}`);
+      return { status: null, text: null, cached: false, blocked: false };
+    }
+    const host = hostState(parsed.origin);
+
+    if (robots && !isAllowed(await loadRobots(parsed.origin, host), parsed.pathname + parsed.search)) {
+      console.warn(`  Skipped (robots.txt): ${url}`);
+      return { status: null, text: null, cached: false, blocked: true };
+    }
+    return request(url, host, { accept, timeoutMs, conditional: true });
+  }
+
+  return { get };
+}
@@ -0,0 +1,146 @@
+/**
+ * Recorded HTTP fixtures for the scraper tests.
+ *
+ * A fixture is a directory under test/fixtures/scrapers/<name>/ holding:
+ *   manifest.json  — { source, recordedAt, config?, responses: { url: { status, contentType, file } } }
+ *   responses/     — one file per recorded response body
+ *   expected.json  — the articles the scraper should extract from them
+ *
+ * scripts/record-fixtures.js writes these from the live sites; the tests
+ * replay them through createReplayFetch() so no network is needed.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, existsSync, rmSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createContext, scrapeSource } from './scrapers.js';
+import { createSourceStats } from './report.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = join(__dirname, '..', '..', 'test', 'fixtures', 'scrapers');
+
+const EXTENSIONS = { json: 'json', xml: 'xml', rss: 'xml', atom: 'xml', html: 'html' };
+
+export function fixtureName(source) {
+  return source.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+export function listFixtures() {
+  if (!existsSync(FIXTURES_DIR)) return [];
+  return readdirSync(FIXTURES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && existsSync(join(FIXTURES_DIR, entry.name, 'manifest.json')))
+    .map(entry => entry.name)
+    .sort();
+}
+
+export function readFixture(name) {
+  const dir = join(FIXTURES_DIR, name);
+  const manifest = JSON.parse(readFileSync(join(dir, 'manifest.json'), 'utf-8'));
+  const expectedPath = join(dir, 'expected.json');
+  const expected = existsSync(expectedPath) ? JSON.parse(readFileSync(expectedPath, 'utf-8')) : null;
+  return { dir, manifest, expected };
+}
+
+export function writeExpected(name, articles) {
+  writeFileSync(join(FIXTURES_DIR, name, 'expected.json'), JSON.stringify(articles, null, 2) + '\n');
+}
+
+/**
+ * A fetch() that answers from a fixture's recorded responses.
+ * URLs that were never recorded get a 404 and are listed in `fetch.misses`,
+ * so a test can tell "the site changed" apart from "the scraper asked for
+ * something new".
+ */
+export function createReplayFetch({ dir, manifest }) {
+  const misses = [];
+
+  const replay = async url => {
+    const entry = manifest.responses[url];
+    if (!entry) {
+      misses.push(url);
+      return new Response('', { status: 404 });
+    }
+    const body = entry.file ? readFileSync(join(dir, 'responses', entry.file), 'utf-8') : '';
+    return new Response(body, {
+      status: entry.status,
+      headers: { 'Content-Type': entry.contentType || 'text/html' },
+    });
+  };
+
+  replay.misses = misses;
+  return replay;
+}
+
+/**
+ * A fetch() that passes through to the network and keeps every response
+ * so it can be saved with saveRecording().
+ */
+export function createRecordingFetch(realFetch = globalThis.fetch) {
+  const responses = [];
+
+  const record = async (url, init) => {
+    const resp = await realFetch(url, init);
+    const text = await resp.text();
+    // robots.txt is checked while recording but replays skip it
+    if (new URL(url).pathname !== '/robots.txt') {
+      responses.push({
+        url,
+        status: resp.status,
+        contentType: (resp.headers.get('content-type') || '').split(';')[0],
+        text,
+      });
+    }
+    return new Response(text, { status: resp.status, headers: resp.headers });
+  };
+
+  record.responses = responses;
+  return record;
+}
+
+/**
+ * Write a recording to test/fixtures/scrapers/<name>/, replacing any
+ * previous recording of the same fixture.
+ */
+export function saveRecording(name, { source, recordedAt, config }, responses) {
+  const dir = join(FIXTURES_DIR, name);
+  rmSync(join(dir, 'responses'), { recursive: true, force: true });
+  mkdirSync(join(dir, 'responses'), { recursive: true });
+
+  const manifest = { source, recordedAt, ...(config ? { config } : {}), responses: {} };
+  responses.forEach((resp, i) => {
+    const subtype = resp.contentType.split('/')[1] || '';
+    const ext = Object.entries(EXTENSIONS).find(([key]) => subtype.includes(key))?.[1] || 'txt';
+    const file = `${String(i + 1).padStart(3, '0')}.${ext}`;
+    writeFileSync(join(dir, 'responses', file), resp.text);
+    manifest.responses[resp.url] = { status: resp.status, contentType: resp.contentType, file };
+  });
+
+  writeFileSync(join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+  return dir;
+}
+
+/**
+ * Drop fields that change on every run so results can be compared.
+ */
+export function comparableArticles(articles) {
+  return articles.map(({ scrapedAt, ...rest }) => rest);
+}
+
+/**
+ * Run a fixture's source through scrapeSource() against its recorded
+ * responses, at the time it was recorded. The source config comes from
+ * sources.json unless the manifest pins its own.
+ */
+export async function replayFixture(name, sources) {
+  const fixture = readFixture(name);
+  const { manifest } = fixture;
+  const config = manifest.config || sources.find(s => s.source === manifest.source);
+  if (!config) throw new Error(`Fixture "${name}": no source named "${manifest.source}" in sources.json`);
+
+  const fetch = createReplayFetch(fixture);
+  const ctx = createContext({ fetch, now: Date.parse(manifest.recordedAt), politeDelayMs: 0, robots: false, retries: 0 });
+  const stats = createSourceStats(config);
+  const articles = await scrapeSource(config, stats, ctx);
+
+  return { articles: comparableArticles(articles), stats, misses: fetch.misses, expected: fixture.expected };
+}
@@ -0,0 +1,203 @@
+/**
+ * Article page metadata.
+ * Listings rarely carry more than a headline and a link, but the article
+ * page's <head> usually describes the story properly: JSON-LD NewsArticle,
+ * OpenGraph and plain meta tags. readPageMetadata() collects headline,
+ * authors, section, publish/modified times, canonical URL and lead image
+ * from whichever of those the page has.
+ */
+
+import { cleanText, collapseWhitespace, decodeEntities } from './text.js';
+import { parseDate } from './dates.js';
+
+const ARTICLE_TYPES = /^(NewsArticle|Article|ReportageNewsArticle|AnalysisNewsArticle|OpinionNewsArticle|BlogPosting|LiveBlogPosting|Report)$/;
+
+// Query parameters that only track the click, never change the page
+const TRACKING_PARAMS = /^(utm_[a-z]+|fbclid|gclid|dclid|mc_[a-z]+|cmpid|cid|icid|ref|refsrc|taid|_ga|ocid|sr_share|partner)$/i;
+
+// "Staff", "Associated Press" and friends are outlets, not writers
+const NOT_A_PERSON = /^(staff|staff reports?|wire reports?|the associated press|associated press|ap|reuters|[a-z]+\.com)$/i;
+
+/**
+ * The URL with tracking parameters and fragment removed. Used for ids, so
+ * ?utm_source variants of one story collapse to a single article.
+ */
+export function stripTracking(url) {
+  try {
+    const parsed = new URL(url);
+    const tracking = [...parsed.searchParams.keys()].filter(key => TRACKING_PARAMS.test(key));
+    if (!tracking.length && !parsed.hash) return url; // leave clean URLs (and their ids) untouched
+    for (const key of tracking) parsed.searchParams.delete(key);
+    parsed.hash = '';
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+function titleCase(name) {
+  return name.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (m, sep, letter) => sep + letter.toUpperCase());
+}
+
+/**
+ * Split a byline into writer names: "By Brad Biggs and Colleen Kane" →
+ * ['Brad Biggs', 'Colleen Kane']. Drops outlet credits like "Staff" and,
+ * when given, the outlet's own name ("By Brad Biggs, Chicago Tribune").
+ * Takes decoded text: entities in raw JSON are decoded by the caller.
+ */
+export function splitAuthors(byline, outlet = null) {
+  const text = collapseWhitespace(byline).replace(/^by:?\s+/i, '');
+  if (!text) return [];
+  return text
+    .split(/\s*(?:,|;|&|\band\b|\|)\s*/i)
+    .map(name => name.replace(/^by:?\s+/i, '').trim())
+    .map(name => (/[a-z]/.test(name) ? name : titleCase(name))) // AP prints "By ANDREW SELIGMAN"
+    .filter(name => name && !NOT_A_PERSON.test(name))
+    .filter(name => !outlet || name.toLowerCase() !== outlet.toLowerCase());
+}
+
+/**
+ * Writer names as a byline: "A", "A and B", "A, B and C".
+ */
+export function formatAuthors(authors) {
+  if (authors.length <= 2) return authors.join(' and ');
+  return `${authors.slice(0, -1).join(', ')} and ${authors[authors.length - 1]}`;
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function nameOf(value) {
+  return typeof value === 'string' ? value : value?.name || null;
+}
+
+function urlOf(value) {
+  return typeof value === 'string' ? value : value?.url || value?.['@id'] || null;
+}
+
+/**
+ * Every JSON-LD node on the page, flattened out of arrays and @graph lists.
+ */
+function jsonLdNodes($) {
+  const nodes = [];
+  const visit = node => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    nodes.push(node);
+    if (node['@graph']) visit(node['@graph']);
+  };
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      visit(JSON.parse($(el).contents().text()));
+    } catch {
+      // malformed JSON-LD is common; ignore it
+    }
+  });
+  return nodes;
+}
+
+// The JSON-LD node describing the story itself, if any
+function findArticleNode(nodes) {
+  return (
+    nodes.find(node => asArray(node['@type']).some(type => ARTICLE_TYPES.test(type))) ||
+    nodes.find(node => node.datePublished) ||
+    {}
+  );
+}
+
+// JSON-LD paywall markup: isAccessibleForFree on the article or one of its
+// parts. true/false, or null when the page doesn't say.
+function accessibleForFree(article) {
+  const flags = [article, ...asArray(article.hasPart)]
+    .map(node => node?.isAccessibleForFree)
+    .filter(flag => flag !== undefined)
+    .map(flag => String(flag).toLowerCase() !== 'false');
+  return flags.length ? flags.every(Boolean) : null;
+}
+
+function meta($, ...selectors) {
+  for (const selector of selectors) {
+    const value = collapseWhitespace($(selector).first().attr('content'));
+    if (value) return value;
+  }
+  return null;
+}
+
+function resolve(href, pageUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, pageUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+// First candidate that parses to an exact time, as { date, source }
+function firstExactDate(candidates, now) {
+  for (const [source, values] of candidates) {
+    for (const value of values) {
+      const parsed = parseDate(value, now);
+      if (parsed && parsed.precision === 'time') return { date: parsed.date, source };
+    }
+  }
+  return null;
+}
+
+/**
+ * Everything the page says about itself. Fields are null (authors empty)
+ * when the page doesn't say. `published` is { date, source } where source
+ * is 'article-meta', 'json-ld' or 'time-element'; `modified` is a Date;
+ * `accessibleForFree` is false when the page marks itself as paywalled.
+ */
+export function readPageMetadata($, pageUrl, { now = Date.now(), outlet = null } = {}) {
+  const article = findArticleNode(jsonLdNodes($));
+
+  const jsonLdAuthors = asArray(article.author).map(nameOf).filter(Boolean)
+    .flatMap(name => splitAuthors(decodeEntities(name), outlet)); // JSON-LD strings are raw
+  const metaAuthors = $('meta[name="author"], meta[property="article:author"]')
+    .map((i, el) => $(el).attr('content'))
+    .get()
+    .filter(value => !/^https?:/.test(value)) // article:author is often a profile URL
+    .flatMap(value => splitAuthors(value, outlet));
+
+  const published = firstExactDate([
+    ['article-meta', [
+      meta($, 'meta[property="article:published_time"]', 'meta[name="article:published_time"]'),
+      meta($, 'meta[itemprop="datePublished"]', 'meta[name="pubdate"]', 'meta[name="parsely-pub-date"]'),
+    ]],
+    ['json-ld', [article.datePublished]],
+    ['time-element', [
+      $('article time[datetime], main time[datetime]').first().attr('datetime'),
+      $('time[datetime]').first().attr('datetime'),
+    ]],
+  ], now);
+
+  const modified = [
+    article.dateModified,
+    meta($, 'meta[property="article:modified_time"]', 'meta[property="og:updated_time"]', 'meta[itemprop="dateModified"]'),
+  ].map(value => parseDate(value, now)).find(parsed => parsed?.precision === 'time');
+
+  const canonical =
+    $('link[rel="canonical"]').first().attr('href') ||
+    meta($, 'meta[property="og:url"]') ||
+    urlOf(article.mainEntityOfPage) ||
+    article.url;
+
+  const image =
+    meta($, 'meta[property="og:image"]', 'meta[property="og:image:url"]', 'meta[name="twitter:image"]') ||
+    asArray(article.image).map(urlOf).find(Boolean);
+
+  return {
+    headline: cleanText(article.headline || '') || null,
+    socialTitle: meta($, 'meta[property="og:title"]', 'meta[name="twitter:title"]'),
+    authors: [...new Set(jsonLdAuthors.length ? jsonLdAuthors : metaAuthors)],
+    section: cleanText(asArray(article.articleSection)[0] || '') || meta($, 'meta[property="article:section"]'),
+    published,
+    modified: modified?.date || null,
+    canonicalUrl: resolve(canonical, pageUrl),
+    imageUrl: resolve(image, pageUrl),
+    accessibleForFree: accessibleForFree(article),
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Articles for a packet built from the command line.
+ * Reads them from an edition file or articles.json, the way the web app
+ * does, and picks the clips either by id or with the app's search queries.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { latestClosedEdition } from '../../src/edition.js';
+import { digestDays } from '../../src/packet.js';
+import { parseQuery, matchQuery } from '../../src/search-query.js';
+import { sortArticles, DEFAULT_PRESET } from '../../src/clip-order.js';
+import { readEdition } from './editions.js';
+
+function readJson(path) {
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * { articles, edition } from `file` (an edition file or articles.json),
+ * else the `edition` date under dataDir/editions, else — like the web app —
+ * the edition due out now or the newest on file, else dataDir/articles.json.
+ * `edition` is null when the articles aren't from a dated edition.
+ */
+export function readArticles({ dataDir, edition = null, file = null, now = new Date() }) {
+  if (file) {
+    const data = readJson(file);
+    return { articles: data.articles || [], edition: data.edition || null };
+  }
+
+  const editionsDir = join(dataDir, 'editions');
+  if (edition) {
+    const data = readEdition(editionsDir, edition);
+    if (!data) throw new Error(`no edition ${edition} in ${editionsDir}`);
+    return { articles: data.articles, edition };
+  }
+
+  const indexPath = join(editionsDir, 'index.json');
+  const { editions = [] } = existsSync(indexPath) ? readJson(indexPath) : {};
+  if (editions.length) {
+    const dueNow = latestClosedEdition(now);
+    const date = editions.some(e => e.date === dueNow) ? dueNow : editions[0].date;
+    return readArticles({ dataDir, edition: date });
+  }
+
+  return { articles: readJson(join(dataDir, 'articles.json')).articles, edition: null };
+}
+
+/**
+ * { articles, edition } for a digest: every edition on file from `start`
+ * through `end`, each article tagged with the edition it came from so the
+ * digest files it under that day. Days with no edition file are skipped.
+ */
+export function readDigestArticles({ dataDir, start, end }) {
+  const editionsDir = join(dataDir, 'editions');
+  const byId = new Map();
+  let found = 0;
+  for (const date of digestDays({ start, end })) {
+    const data = readEdition(editionsDir, date);
+    if (!data) continue;
+    found += 1;
+    for (const article of data.articles) {
+      if (!byId.has(article.id)) byId.set(article.id, { ...article, edition: article.edition || date });
+    }
+  }
+  if (!found) throw new Error(`no editions from ${start} to ${end} in ${editionsDir}`);
+  return { articles: [...byId.values()], edition: end };
+}
+
+/**
+ * The packet's clips, in packet order. With `ids`, exactly those articles
+ * in that order (an unknown id is an error). Otherwise every article
+ * matching any of the `queries` (search-query.js syntax), one copy per
+ * syndicated story, sorted by the `preset`. Giving both is an error.
+ */
+export function pickArticles(articles, { ids = [], queries = [], preset = DEFAULT_PRESET } = {}) {
+  const byId = new Map(articles.map(article => [article.id, article]));
+  if (ids.length && queries.length) throw new Error('give article ids or a query, not both');
+
+  if (ids.length) {
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length) throw new Error(`unknown article id(s): ${missing.join(', ')}`);
+    return ids.map(id => byId.get(id));
+  }
+
+  if (queries.length === 0) throw new Error('give article ids or a query');
+  const query = parseQuery(queries.map(q => `(${q})`).join(' OR '));
+
+  // Syndicated copies collapse onto their cluster's canonical article
+  const seen = new Set();
+  const picked = [];
+  for (const article of articles.filter(a => matchQuery(query, a))) {
+    const canonical = byId.get(article.duplicateOf) || article;
+    if (seen.has(canonical.id)) continue;
+    seen.add(canonical.id);
+    picked.push(canonical);
+  }
+  return sortArticles(picked, preset, { keywords: queries });
+}
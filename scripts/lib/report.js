@@ -0,0 +1,88 @@
+/**
+ * Per-source scrape health report.
+ * Each run records what every source returned and compares it with that
+ * source's recent runs, so a site redesign that silently breaks a selector
+ * shows up as a warning in the web UI the same morning.
+ */
+
+const HISTORY_LENGTH = 7;      // runs kept per source for the recent average
+const DROP_THRESHOLD = 0.5;    // warn when items fall below half the recent average
+const MIN_AVERAGE_FOR_DROP = 3; // ignore drops on sources that only ever return a handful
+
+/**
+ * Fresh counters for one source. Scrapers and enrichWithContent() fill these in.
+ */
+export function createSourceStats(config) {
+  return {
+    source: config.source,
+    type: config.type,
+    listingStatus: null,   // HTTP status of the listing page / feed / API call
+    itemsMatched: 0,       // items found on the listing before the date filter
+    articlesKept: 0,       // items left after the date filter
+    bodiesFetched: 0,      // article pages that yielded a full body
+    bodiesFallback: 0,     // ...of which only the readability fallback could read
+    bodiesFailed: 0,       // article pages that failed to fetch or had no body
+    datesFromPage: 0,      // publish dates read from article page metadata
+    undated: 0,            // items dropped because no publish date was found
+    durationMs: 0,
+    error: null,
+  };
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, n) => sum + n, 0) / values.length : null;
+}
+
+function failed(stats) {
+  return Boolean(stats.error) || (stats.listingStatus !== null && stats.listingStatus >= 400);
+}
+
+// 'error' | 'empty' | 'drop' | 'ok'
+function classify(stats, recentAverage) {
+  if (failed(stats)) return 'error';
+  if (stats.itemsMatched === 0) return 'empty';
+  if (
+    recentAverage !== null &&
+    recentAverage >= MIN_AVERAGE_FOR_DROP &&
+    stats.itemsMatched < recentAverage * DROP_THRESHOLD
+  ) {
+    return 'drop';
+  }
+  return 'ok';
+}
+
+/**
+ * Build this run's report from the per-source stats, carrying forward the
+ * itemsMatched history from the previous report. A run that errored found
+ * nothing because the site couldn't be read, not because it published
+ * less, so it stays out of the history; `failures` counts each source's
+ * errored runs in a row instead (0 once it loads again).
+ */
+export function buildReport(allStats, previousReport = null, now = new Date()) {
+  const previousHistory = previousReport?.history || {};
+  const previousFailures = previousReport?.failures || {};
+  const history = {};
+  const failures = {};
+
+  const sources = allStats.map(stats => {
+    const past = previousHistory[stats.source] || [];
+    const recentAverage = average(past);
+    const error = failed(stats);
+    history[stats.source] = error ? past : [...past, stats.itemsMatched].slice(-HISTORY_LENGTH);
+    failures[stats.source] = error ? (previousFailures[stats.source] || 0) + 1 : 0;
+
+    return {
+      ...stats,
+      recentAverage: recentAverage === null ? null : Math.round(recentAverage * 10) / 10,
+      failedRuns: failures[stats.source],
+      status: classify(stats, recentAverage),
+    };
+  });
+
+  return {
+    generatedAt: now.toISOString(),
+    sources,
+    history,
+    failures,
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * Source configuration loader.
+ * Reads sources.json (the list of outlets to scrape) and checks every entry
+ * against SOURCE_SCHEMA so a typo fails the run with a readable message
+ * instead of silently scraping nothing.
+ */
+
+import { readFileSync } from 'fs';
+
+// Fields every source may have, regardless of type
+const COMMON_FIELDS = {
+  source: { type: 'string', required: true },
+  type: { type: 'string', required: true },
+  enabled: { type: 'boolean' },
+  notes: { type: 'string' },
+  paywalled: { type: 'boolean' }, // teasers from this outlet are labelled paywalled, not excerpt
+  followLinks: { type: 'boolean' },
+  articleBodySelector: { type: 'string' },
+};
+
+// Extra fields per source type
+const SOURCE_SCHEMA = {
+  rss: {
+    rssUrl: { type: 'url', required: true },
+  },
+  html: {
+    listUrl: { type: 'url', required: true },
+    selectors: {
+      type: 'object',
+      required: true,
+      fields: {
+        items: { type: 'string', required: true },
+        title: { type: 'string', required: true },
+        link: { type: 'string' },
+        date: { type: 'string' },
+        author: { type: 'string' },
+        excerpt: { type: 'string' },
+      },
+    },
+  },
+  json: {
+    jsonUrl: { type: 'url', required: true },
+    items: { type: 'string' }, // dot path to the list of stories; omit when the response is the list
+    fields: {
+      type: 'object',
+      required: true,
+      fields: {
+        title: { type: 'path', required: true },
+        url: { type: 'path', required: true },
+        date: { type: 'path' },
+        author: { type: 'path' },
+        body: { type: 'path' },
+        excerpt: { type: 'path' },
+      },
+    },
+  },
+  sitemap: {
+    sitemapUrl: { type: 'url', required: true },
+    urlPattern: { type: 'regex' }, // keep only story URLs matching this
+  },
+};
+
+export const SOURCE_TYPES = Object.keys(SOURCE_SCHEMA);
+
+export class SourceConfigError extends Error {
+  constructor(file, problems) {
+    super(`Invalid source config in ${file}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'SourceConfigError';
+    this.problems = problems;
+  }
+}
+
+function checkValue(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'url':
+      try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:' ? null : 'must be an http(s) URL';
+      } catch {
+        return 'must be an http(s) URL';
+      }
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    case 'path': {
+      // A dot path into a JSON item, or a list of them tried in order
+      const paths = [].concat(value);
+      return paths.length && paths.every(p => typeof p === 'string' && p.trim() !== '')
+        ? null
+        : 'must be a dot path or a list of dot paths';
+    }
+    case 'regex':
+      if (typeof value !== 'string') return 'must be a regular expression string';
+      try {
+        new RegExp(value);
+        return null;
+      } catch {
+        return 'must be a valid regular expression';
+      }
+    default:
+      return null;
+  }
+}
+
+function checkFields(obj, fields, label, problems) {
+  for (const [key, rule] of Object.entries(fields)) {
+    if (obj[key] === undefined) {
+      if (rule.required) problems.push(`${label}: "${key}" is required`);
+      continue;
+    }
+    const error = checkValue(obj[key], rule);
+    if (error) {
+      problems.push(`${label}: "${key}" ${error}`);
+    } else if (rule.fields) {
+      checkFields(obj[key], rule.fields, `${label} ${key}`, problems);
+    }
+  }
+  for (const key of Object.keys(obj)) {
+    if (!(key in fields)) problems.push(`${label}: unknown field "${key}"`);
+  }
+}
+
+/**
+ * Validate a parsed sources file. Returns a list of problems (empty when valid).
+ */
+export function validateSources(data) {
+  if (!data || !Array.isArray(data.sources)) {
+    return ['top level must be an object with a "sources" array'];
+  }
+
+  const problems = [];
+  const names = new Set();
+
+  data.sources.forEach((config, i) => {
+    const label = `sources[${i}]${config && config.source ? ` ("${config.source}")` : ''}`;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      problems.push(`${label}: must be an object`);
+      return;
+    }
+
+    const typeFields = SOURCE_SCHEMA[config.type];
+    if (!typeFields) {
+      problems.push(`${label}: "type" must be one of ${SOURCE_TYPES.join(', ')}`);
+      return;
+    }
+
+    checkFields(config, { ...COMMON_FIELDS, ...typeFields }, label, problems);
+
+    if (config.followLinks && !config.articleBodySelector) {
+      problems.push(`${label}: "articleBodySelector" is required when "followLinks" is true`);
+    }
+    if (config.source) {
+      if (names.has(config.source)) problems.push(`${label}: duplicate source name "${config.source}"`);
+      names.add(config.source);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Load and validate a sources file. Returns the enabled sources only,
+ * unless includeDisabled is set. Throws SourceConfigError listing every
+ * problem found.
+ */
+export function loadSources(file, { includeDisabled = false } = {}) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new SourceConfigError(file, [`could not read JSON: ${err.message}`]);
+  }
+
+  const problems = validateSources(data);
+  if (problems.length) throw new SourceConfigError(file, problems);
+
+  return includeDisabled ? data.sources : data.sources.filter(config => config.enabled !== false);
+}
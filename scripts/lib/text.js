@@ -0,0 +1,117 @@
+/**
+ * Text helpers shared by the scrapers.
+ * Turns scraped HTML into a structured article body — an ordered list of
+ * paragraph, subhead and blockquote blocks. cheerio decodes the HTML
+ * entities, once; the text is only tidied here.
+ */
+
+import { load } from 'cheerio';
+import { collapseWhitespace } from '../../src/text.js';
+
+export { decodeEntities, cleanText, collapseWhitespace } from '../../src/text.js';
+
+// Tags whose text is never part of the story
+const SKIP_TAGS = new Set([
+  'script', 'style', 'noscript', 'iframe', 'svg', 'form', 'button',
+  'figure', 'figcaption', 'aside', 'nav', 'footer', 'header', 'img', 'video', 'audio',
+]);
+
+const BLOCK_TYPES = {
+  p: 'paragraph',
+  li: 'paragraph',
+  pre: 'paragraph',
+  h1: 'subhead',
+  h2: 'subhead',
+  h3: 'subhead',
+  h4: 'subhead',
+  h5: 'subhead',
+  h6: 'subhead',
+  blockquote: 'blockquote',
+};
+
+// Wrappers we descend into rather than treating as inline text
+const CONTAINER_TAGS = new Set([
+  'div', 'section', 'article', 'main', 'ul', 'ol', 'body', 'html', 'center', 'table', 'tbody', 'tr', 'td',
+]);
+
+/**
+ * Walk a cheerio element and return its body as ordered blocks:
+ * [{ type: 'paragraph' | 'subhead' | 'blockquote', text }]
+ * Loose text and inline elements are gathered into paragraphs, split on
+ * blank lines and double <br>s.
+ */
+export function extractBlocks($, root) {
+  const blocks = [];
+  let inline = '';
+
+  const push = (type, text) => {
+    const cleaned = collapseWhitespace(text);
+    if (cleaned) blocks.push({ type, text: cleaned });
+  };
+
+  const flush = () => {
+    inline.split(/\n\s*\n/).forEach(part => push('paragraph', part));
+    inline = '';
+  };
+
+  const walk = nodes => {
+    nodes.each((i, node) => {
+      if (node.type === 'text') {
+        inline += node.data;
+        return;
+      }
+      if (node.type !== 'tag') return;
+
+      const tag = node.name.toLowerCase();
+      if (SKIP_TAGS.has(tag)) return;
+
+      if (tag === 'br') {
+        inline += '\n';
+        return;
+      }
+
+      const type = BLOCK_TYPES[tag];
+      if (type) {
+        flush();
+        const $node = $(node);
+        $node.find([...SKIP_TAGS].join(',')).remove();
+        // Quotes often wrap several <p>s — keep them as one block, spaced
+        const text = type === 'blockquote'
+          ? extractBlocks($, node).map(b => b.text).join(' ')
+          : $node.text();
+        push(type, text);
+        return;
+      }
+
+      if (CONTAINER_TAGS.has(tag)) {
+        flush();
+        walk($(node).contents());
+        flush();
+        return;
+      }
+
+      inline += $(node).text();
+    });
+  };
+
+  walk($(root).contents());
+  flush();
+  return blocks;
+}
+
+/**
+ * Parse an HTML fragment (RSS content:encoded, API story fields) into blocks.
+ */
+export function htmlToBlocks(html) {
+  if (!html || !html.trim()) return [];
+  const $ = load(html, null, false);
+  return extractBlocks($, $.root());
+}
+
+/**
+ * Flatten blocks into plain text, one block per paragraph separated by a blank line.
+ * This is what gets stored as `content` for keyword search.
+ */
+export function blocksToText(blocks) {
+  return (blocks || []).map(b => b.text).join('\n\n');
+}
@@ -0,0 +1,60 @@
+/**
+ * Record scraper fixtures from the live sites.
+ *
+ *   node scripts/record-fixtures.js "AP News" "ESPN"
+ *   node scripts/record-fixtures.js --all
+ *
+ * Fetches each source exactly as the daily scraper would, saves every
+ * response under test/fixtures/scrapers/<name>/ and writes the articles it
+ * extracted to expected.json. Review expected.json before committing —
+ * it becomes what `npm test` asserts against.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { loadSources } from './lib/sources.js';
+import { createContext, scrapeSource } from './lib/scrapers.js';
+import { createSourceStats } from './lib/report.js';
+import {
+  createRecordingFetch, saveRecording, writeExpected, comparableArticles, fixtureName,
+} from './lib/fixtures.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SOURCES_PATH = join(__dirname, '..', 'sources.json');
+
+async function record(config) {
+  const fetch = createRecordingFetch();
+  const ctx = createContext({ fetch });
+  const stats = createSourceStats(config);
+  const articles = await scrapeSource(config, stats, ctx);
+
+  const name = fixtureName(config.source);
+  const dir = saveRecording(name, { source: config.source, recordedAt: new Date(ctx.now).toISOString() }, fetch.responses);
+  writeExpected(name, comparableArticles(articles));
+  console.log(`  Saved ${fetch.responses.length} responses and ${articles.length} expected articles to ${dir}\n`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const sources = loadSources(SOURCES_PATH, { includeDisabled: true });
+  const selected = args.includes('--all')
+    ? sources.filter(s => s.enabled !== false)
+    : sources.filter(s => args.includes(s.source));
+
+  const unknown = args.filter(a => a !== '--all' && !sources.some(s => s.source === a));
+  if (unknown.length || selected.length === 0) {
+    console.error(`Usage: node scripts/record-fixtures.js <source name>... | --all`);
+    if (unknown.length) console.error(`Unknown source(s): ${unknown.join(', ')}`);
+    console.error(`Sources: ${sources.map(s => s.source).join(', ')}`);
+    process.exit(1);
+  }
+
+  for (const config of selected) {
+    await record(config);
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal:', err);
+  process.exit(1);
+});
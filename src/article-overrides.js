@@ -0,0 +1,91 @@
+/**
+ * Hand edits to articles before they go in the packet — a fixed headline,
+ * a real byline instead of "Staff", an outlet renamed, promos cut from the
+ * body. Edits are stored apart from the articles as overrides keyed by
+ * article id, so reloading or re-scraping an edition doesn't lose them:
+ *
+ *   { [id]: { edition, title?, author?, source?, publishedAt?, body? } }
+ *
+ * Only fields that differ from the scraped article are kept. Like manual
+ * articles, overrides stay in localStorage for KEEP_DAYS after their
+ * edition, so reopening a past edition still shows its edits.
+ */
+
+import { latestClosedEdition } from './edition.js';
+import { isExpired } from './manual-articles.js';
+
+export const OVERRIDES_STORAGE_KEY = 'bears-clips.articleOverrides';
+
+export const EDITABLE_FIELDS = ['title', 'author', 'source', 'publishedAt', 'body'];
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * The article as it goes in the packet: the override's fields replace the
+ * scraped ones, and `content` follows an edited body so search sees it.
+ */
+export function applyOverride(article, override) {
+  if (!override) return article;
+  const edited = { ...article, edited: true };
+  for (const field of EDITABLE_FIELDS) {
+    if (field in override) edited[field] = override[field];
+  }
+  if ('author' in override) edited.authors = override.author ? [override.author] : [];
+  if ('body' in override) edited.content = override.body.map(block => block.text).join('\n\n');
+  return edited;
+}
+
+/**
+ * Record `edits` to `article` in `overrides` (returns a new object). Fields
+ * edited back to the original are forgotten; no differences removes the
+ * entry, same as reverting.
+ */
+export function setOverride(overrides, article, edits) {
+  const override = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (field in edits && !sameValue(edits[field], article[field])) override[field] = edits[field];
+  }
+  const next = { ...overrides };
+  if (Object.keys(override).length) {
+    next[article.id] = { edition: article.edition || latestClosedEdition(), ...override };
+  } else {
+    delete next[article.id];
+  }
+  return next;
+}
+
+export function removeOverride(overrides, articleId) {
+  const next = { ...overrides };
+  delete next[articleId];
+  return next;
+}
+
+/**
+ * Saved overrides, minus expired ones (see isExpired(); they are removed
+ * from storage).
+ */
+export function loadOverrides(storage, now = new Date()) {
+  let saved;
+  try {
+    saved = JSON.parse(storage.getItem(OVERRIDES_STORAGE_KEY) || '{}');
+  } catch {
+    saved = {};
+  }
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved)) saved = {};
+
+  const current = Object.fromEntries(
+    Object.entries(saved).filter(([, override]) => override?.edition && !isExpired(override, now)),
+  );
+  if (Object.keys(current).length !== Object.keys(saved).length) saveOverrides(storage, current);
+  return current;
+}
+
+export function saveOverrides(storage, overrides) {
+  if (Object.keys(overrides).length) {
+    storage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(overrides));
+  } else {
+    storage.removeItem(OVERRIDES_STORAGE_KEY);
+  }
+}
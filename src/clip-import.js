@@ -0,0 +1,158 @@
+/**
+ * Plain-text clip import.
+ * Staff keep print-only pieces and hand-copied stories as text files laid
+ * out like example/article1.txt:
+ *
+ *   Headline
+ *   BY WRITER NAME, OUTLET
+ *
+ *   Body text, usually hard-wrapped at about 40 columns, sometimes with
+ *   HTML entities left over from a copy out of a web page.
+ *
+ * parseClips() turns such text into { title, author, source, body }
+ * objects. One file may hold several clips separated by a line of ---, ***
+ * or ===. Shared by the web app (browser) and the tests (Node).
+ */
+
+import { decodeEntities } from './text.js';
+
+const SEPARATOR = /^\s*(?:-{3,}|\*{3,}|={3,}|\f)\s*$/;
+const BYLINE = /^by:?\s+(.+)$/i;
+const MAX_HEADLINE_LINES = 3;
+
+// Lines longer than this mean the text isn't hard-wrapped (typed or pasted from
+// the web): one line per paragraph
+const UNWRAPPED_WIDTH = 100;
+
+function titleCase(text) {
+  return text
+    .toLowerCase()
+    .replace(/(^|[\s'-])(\p{L})/gu, (m, sep, letter) => sep + letter.toUpperCase())
+    .replace(/ And /g, ' and ');
+}
+
+// AP-style ALL CAPS bylines read better in title case; mixed case is kept
+function tidyCase(text) {
+  return /\p{Ll}/u.test(text) ? text : titleCase(text);
+}
+
+/**
+ * "BY GABBY HAJDUK, chicagobears.com" → { author: 'Gabby Hajduk', source: 'chicagobears.com' }.
+ * The outlet is whatever follows the last comma. Null when the line isn't a byline.
+ */
+export function parseByline(line) {
+  const match = decodeEntities(line).trim().match(BYLINE);
+  if (!match) return null;
+  const comma = match[1].lastIndexOf(',');
+  if (comma === -1) return { author: tidyCase(match[1].trim()), source: '' };
+  return {
+    author: tidyCase(match[1].slice(0, comma).trim()),
+    source: tidyCase(match[1].slice(comma + 1).trim()),
+  };
+}
+
+// The line length the text was wrapped at, ignoring the odd overlong line
+function wrapWidth(lines) {
+  const lengths = lines.map(line => line.length).sort((a, b) => a - b);
+  return lengths[Math.floor((lengths.length - 1) * 0.9)] || 0;
+}
+
+// A short Title Case line between paragraphs, e.g. the player names
+// heading each part of a free-agency rundown
+function isSubhead(line, shortLine) {
+  const words = line.split(/\s+/);
+  return line.length < shortLine && words.length <= 6 &&
+    !/[.!?,;:"”]$/.test(line) && words.every(word => /^[\p{Lu}\d]/u.test(word));
+}
+
+/**
+ * Rejoin hard-wrapped lines into body blocks ({ type, text }, as the
+ * scraper produces). Blank lines always break; otherwise a paragraph ends
+ * on a line that finishes a sentence and either stops well short of the
+ * wrap width, closes a quote, or is followed by a line opening one. Words
+ * hyphenated across a wrap ("tackles-" / "for-loss") are joined without a
+ * space.
+ */
+export function unwrapBody(text) {
+  const lines = decodeEntities(text).split(/\r?\n/).map(line => line.trim());
+  const textLines = lines.filter(Boolean);
+  if (!textLines.length) return [];
+
+  if (Math.max(...textLines.map(line => line.length)) > UNWRAPPED_WIDTH) {
+    return textLines.map(line => ({ type: 'paragraph', text: line }));
+  }
+
+  const shortLine = wrapWidth(textLines) * 0.75;
+  const blocks = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) blocks.push({ type: 'paragraph', text: current });
+    current = '';
+  };
+
+  lines.forEach((line, i) => {
+    if (!line) return flush();
+    const next = lines[i + 1] || '';
+    if (!current && next && isSubhead(line, shortLine)) {
+      blocks.push({ type: 'subhead', text: line });
+      return;
+    }
+    current = /[\p{L}\d]-$/u.test(current) ? current + line : current ? `${current} ${line}` : line;
+
+    const endsSentence = /[.!?]["”’)]?$/.test(line);
+    const closesQuote = /[.!?]["”]$/.test(line);
+    if (endsSentence && (line.length < shortLine || closesQuote || /^["“]/.test(next))) flush();
+  });
+  flush();
+
+  return blocks;
+}
+
+function parseClip(block, index) {
+  const lines = block.split(/\r?\n/);
+  while (lines.length && !lines[0].trim()) lines.shift();
+  if (!lines.length) return null;
+
+  const bylineAt = lines.slice(0, MAX_HEADLINE_LINES + 1).findIndex(line => BYLINE.test(line.trim()));
+  if (bylineAt < 1) {
+    return { error: `Clip ${index + 1}: expected a headline and then a "BY NAME, OUTLET" line` };
+  }
+
+  const title = decodeEntities(lines.slice(0, bylineAt).join(' ')).replace(/\s+/g, ' ').trim();
+  const { author, source } = parseByline(lines[bylineAt]);
+  const body = unwrapBody(lines.slice(bylineAt + 1).join('\n'));
+
+  if (!source) return { error: `Clip ${index + 1} ("${title}"): the BY line has no outlet after a comma` };
+  if (!body.length) return { error: `Clip ${index + 1} ("${title}"): no article text after the BY line` };
+  return { clip: { title, author, source, body } };
+}
+
+/**
+ * Parse a text file of clips. Returns { clips, errors }; a clip that
+ * can't be read is reported in `errors` and the rest are still returned.
+ */
+export function parseClips(text) {
+  const blocks = [];
+  let current = [];
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (SEPARATOR.test(line)) {
+      blocks.push(current.join('\n'));
+      current = [];
+    } else {
+      current.push(line);
+    }
+  }
+  blocks.push(current.join('\n'));
+
+  const clips = [];
+  const errors = [];
+  blocks
+    .filter(block => block.trim())
+    .forEach((block, i) => {
+      const result = parseClip(block, i);
+      if (result?.clip) clips.push(result.clip);
+      if (result?.error) errors.push(result.error);
+    });
+  return { clips, errors };
+}
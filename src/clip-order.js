@@ -0,0 +1,130 @@
+/**
+ * Packet order.
+ * The web app keeps the selected clips as an ordered list of article ids
+ * that staff can rearrange by hand or reset from a sort preset; the docx
+ * generator lays pages out in that order. Shared by the web app (browser)
+ * and the tests (Node).
+ */
+
+import { parseQuery, matchQuery } from './search-query.js';
+
+// House style: the team site, then the two papers, then national outlets
+export const DEFAULT_OUTLET_PRIORITY = [
+  'Chicago Bears Official',
+  'chicagobears.com',
+  'Chicago Tribune',
+  'Chicago Sun-Times',
+  'The Athletic',
+  'ESPN',
+  'AP News',
+];
+
+function publishedTime(article) {
+  const time = Date.parse(article.publishedAt);
+  return isNaN(time) ? -Infinity : time;
+}
+
+const newestFirst = (a, b) => publishedTime(b) - publishedTime(a);
+
+// Position in the priority list, matched case-insensitively; unlisted outlets go last
+function outletRank(article, outletPriority) {
+  const source = (article.source || '').toLowerCase();
+  const rank = outletPriority.findIndex(outlet => outlet.toLowerCase() === source);
+  return rank === -1 ? outletPriority.length : rank;
+}
+
+// Keyword searches as query trees; ones that don't parse never match
+function parseTopics(keywords) {
+  return keywords.map(keyword => {
+    try {
+      return parseQuery(keyword);
+    } catch {
+      return { type: 'or', children: [] };
+    }
+  });
+}
+
+// Index of the first keyword search the article matches; unmatched articles go last
+function topicRank(article, topics) {
+  const rank = topics.findIndex(topic => matchQuery(topic, article));
+  return rank === -1 ? topics.length : rank;
+}
+
+/**
+ * Named sort presets. Each builds a comparator from
+ * { outletPriority, keywords }.
+ */
+export const SORT_PRESETS = {
+  outlet: {
+    label: 'Outlet priority',
+    compare: ({ outletPriority }) => (a, b) =>
+      outletRank(a, outletPriority) - outletRank(b, outletPriority) || newestFirst(a, b),
+  },
+  chronological: {
+    label: 'Chronological (oldest first)',
+    compare: () => (a, b) => publishedTime(a) - publishedTime(b),
+  },
+  topic: {
+    label: 'By topic (search keyword order)',
+    compare: ({ outletPriority, keywords }) => {
+      const topics = parseTopics(keywords);
+      return (a, b) =>
+        topicRank(a, topics) - topicRank(b, topics) ||
+        outletRank(a, outletPriority) - outletRank(b, outletPriority) ||
+        newestFirst(a, b);
+    },
+  },
+};
+
+export const DEFAULT_PRESET = 'outlet';
+
+/**
+ * Articles sorted by a preset (stable; returns a new array).
+ */
+export function sortArticles(articles, preset, { outletPriority = DEFAULT_OUTLET_PRIORITY, keywords = [] } = {}) {
+  const { compare } = SORT_PRESETS[preset] || SORT_PRESETS[DEFAULT_PRESET];
+  return [...articles].sort(compare({ outletPriority, keywords }));
+}
+
+/**
+ * Bring an ordered id list up to date with the selection: unselected ids
+ * are dropped and newly selected articles are slotted in where the preset
+ * would put them, so hand-made moves survive adding another clip.
+ */
+export function arrangeSelection(order, articles, preset, options = {}) {
+  const byId = new Map(articles.map(article => [article.id, article]));
+  const arranged = order.filter(id => byId.has(id));
+  const { compare } = SORT_PRESETS[preset] || SORT_PRESETS[DEFAULT_PRESET];
+  const comparator = compare({ outletPriority: DEFAULT_OUTLET_PRIORITY, keywords: [], ...options });
+
+  const added = articles.filter(article => !arranged.includes(article.id));
+  for (const article of sortArticles(added, preset, options)) {
+    const before = arranged.findIndex(id => comparator(article, byId.get(id)) < 0);
+    arranged.splice(before === -1 ? arranged.length : before, 0, article.id);
+  }
+  return arranged;
+}
+
+/**
+ * Move the id at `from` to `to` (returns a new array).
+ */
+export function moveItem(order, from, to) {
+  const moved = [...order];
+  const [id] = moved.splice(from, 1);
+  moved.splice(Math.max(0, Math.min(to, moved.length)), 0, id);
+  return moved;
+}
+
+/**
+ * Articles in the order of an id list; any not in it keep their relative
+ * order at the end.
+ */
+export function applyOrder(articles, order) {
+  if (!order) return articles;
+  const position = new Map(order.map((id, i) => [id, i]));
+  const rank = article => (position.has(article.id) ? position.get(article.id) : order.length);
+  return articles
+    .map((article, i) => ({ article, i }))
+    .sort((a, b) => rank(a.article) - rank(b.article) || a.i - b.i)
+    .map(({ article }) => article);
+}
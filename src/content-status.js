@@ -0,0 +1,31 @@
+/**
+ * How much of an article we have.
+ *   full      — the whole story (feed, API or article page)
+ *   excerpt   — only the listing's teaser
+ *   paywalled — only a teaser, because the outlet is behind a paywall
+ *   failed    — the article page should have given us the story but didn't
+ * Set by the scraper as `contentStatus`; shared by the scraper (Node), the
+ * web app and the docx generator (browser).
+ */
+
+export const CONTENT_STATUS_LABELS = {
+  full: 'Full text',
+  excerpt: 'Excerpt only',
+  paywalled: 'Paywalled',
+  failed: 'Fetch failed',
+};
+
+/**
+ * An article's content status. Articles scraped before the scraper set
+ * one count as full when their content is more than the excerpt.
+ */
+export function getContentStatus(article) {
+  if (article.contentStatus) return article.contentStatus;
+  const content = (article.content || '').trim();
+  const excerpt = (article.excerpt || '').trim();
+  return content && content !== excerpt ? 'full' : 'excerpt';
+}
+
+export function hasFullText(article) {
+  return getContentStatus(article) === 'full';
+}
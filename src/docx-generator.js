@@ -1,259 +1,458 @@
-import { Document, Packer, Paragraph, TextRun, AlignmentType, ImageRun, TabStopType, SectionType } from 'docx';
+import {
+  Document, Paragraph, TextRun, AlignmentType, ImageRun, TabStopType, LeaderType, SectionType,
+  Bookmark, InternalHyperlink, ExternalHyperlink, XmlComponent, XmlAttributeComponent,
+  Table, TableRow, TableCell, WidthType,
+} from 'docx';
+import { buildPacket, paginatePacket, packetLayout, startPages, APPENDIX_BOOKMARK } from './packet.js';
 
 // ---------------------------------------------------------------------------
-// Constants (from template XML)
+// Template
 // ---------------------------------------------------------------------------
-const PAGE_MARGIN = 720;       // 0.5" in twips
-const TEXT_WIDTH  = 10800;     // 7.5" text area (12240 - 720*2) in twips
-const COL_SPACE   = 720;       // 0.5" between columns in twips
 
-// ---------------------------------------------------------------------------
-// Helpers
-// ---------------------------------------------------------------------------
+// The text area between the margins, where right tabs sit
+function textWidth({ page }) {
+  return page.size.width - page.margin.left - page.margin.right;
+}
 
-function getOrdinalSuffix(n) {
-  if (n === 1 || n === 21 || n === 31) return 'st';
-  if (n === 2 || n === 22) return 'nd';
-  if (n === 3 || n === 23) return 'rd';
-  return 'th';
+function textHeight({ page }) {
+  return page.size.height - page.margin.top - page.margin.bottom;
 }
 
-function formatCoverDate(date) {
-  const days   = ['SUNDAY','MONDAY','TUESDAY','WEDNESDAY','THURSDAY','FRIDAY','SATURDAY'];
-  const months = ['JANUARY','FEBRUARY','MARCH','APRIL','MAY','JUNE','JULY','AUGUST','SEPTEMBER','OCTOBER','NOVEMBER','DECEMBER'];
-  return {
-    dayLine:  days[date.getDay()] + ',',
-    monthDay: months[date.getMonth()] + ' ' + date.getDate(),
-    suffix:   getOrdinalSuffix(date.getDate()),
-  };
+const twips = points => Math.round(points * 20);
+
+// One line of body text, the unit paragraphs are spaced by — the same
+// height src/packet.js paginates with
+function blankLine(template) {
+  return twips(packetLayout(template).bodyLine);
 }
 
-function formatHeaderDate(dateStr) {
-  const d = new Date(dateStr);
-  if (isNaN(d)) return dateStr || '';
-  return d.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+// PNG, JPEG or GIF, from the file's first bytes
+function imageType(data) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  if (bytes[0] === 0x89 && bytes[1] === 0x50) return 'png';
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'jpg';
+  if (bytes[0] === 0x47 && bytes[1] === 0x49) return 'gif';
+  throw new Error('the logo must be a PNG, JPEG or GIF image');
 }
 
-async function fetchLogoBuffer() {
-  try {
-    const resp = await fetch('./images/bears-logo.png');
-    if (!resp.ok) return null;
-    return await resp.arrayBuffer();
-  } catch {
-    return null;
-  }
+// The cover logo: the template's own picture, or `data` drawn in its place
+function coverLogo(template, data) {
+  if (data === undefined) return template.logo;
+  if (!data || !template.logo) return null;
+  return { ...template.logo, data, type: imageType(data) };
 }
 
-const pageSize = { width: 12240, height: 15840 };
-const pageMargin = { top: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN, left: PAGE_MARGIN, header: PAGE_MARGIN };
+// ---------------------------------------------------------------------------
+// Cover page — the template's cover with the date filled in
+// ---------------------------------------------------------------------------
+
+function createTitlePage(template, { dayLine, monthDay, suffix }, logo) {
+  return template.cover.flatMap(({ role, text, paragraph, run, suffix: suffixRun }) => {
+    switch (role) {
+      case 'day':
+        return new Paragraph({ ...paragraph, children: [new TextRun({ ...run, text: dayLine })] });
+      case 'monthDay':
+        return new Paragraph({
+          ...paragraph,
+          children: [new TextRun({ ...run, text: monthDay }), new TextRun({ ...suffixRun, text: suffix })],
+        });
+      case 'logo':
+        if (!logo) return [];
+        return new Paragraph({
+          ...paragraph,
+          children: [
+            new ImageRun({
+              data: logo.data,
+              transformation: { width: logo.width, height: logo.height },
+              type: logo.type,
+            }),
+          ],
+        });
+      case 'blank':
+        return new Paragraph({ ...paragraph, run }); // the mark's size sets the gap
+      default:
+        return new Paragraph({ ...paragraph, children: [new TextRun({ ...run, text })] });
+    }
+  });
+}
 
 // ---------------------------------------------------------------------------
-// Cover page
+// Article elements — each styled like its placeholder in the template
 // ---------------------------------------------------------------------------
 
-function createTitlePage(date, logoBuffer) {
-  const { dayLine, monthDay, suffix } = formatCoverDate(date);
+// Publication header — body paragraph, not a page header
+// "SOURCE – Day, Month Date, Year" | template: Courier New 10pt, italic, red, right-aligned
+// Links to the story online, and carries the bookmark the contents page links to
+function createPublicationHeader({ styles }, { header, url, bookmark }) {
+  const run = new TextRun({ ...styles.header.run, text: header });
+  return new Paragraph({
+    ...styles.header.paragraph,
+    children: [
+      new Bookmark({
+        id: bookmark,
+        children: [url ? new ExternalHyperlink({ link: url, children: [run] }) : run],
+      }),
+    ],
+  });
+}
 
-  const children = [
-    // Spacer rows above title (template has ~3 blank lines before "CHICAGO BEARS")
-    new Paragraph({ text: '', spacing: { after: 0 } }),
-    new Paragraph({ text: '', spacing: { after: 0 } }),
-    new Paragraph({ text: '', spacing: { after: 0 } }),
+// Title — template: Courier New 20pt, bold
+function createTitle({ styles }, title) {
+  return new Paragraph({ ...styles.title.paragraph, children: [new TextRun({ ...styles.title.run, text: title })] });
+}
 
-    // CHICAGO BEARS — 35pt, centered, black
-    new Paragraph({
-      children: [new TextRun({ text: 'CHICAGO BEARS', size: 70 })],
-      alignment: AlignmentType.CENTER,
-      spacing: { after: 0, line: 276 },
-    }),
+// Byline + page number on same line
+// "BY NAME, OUTLET" [right tab] "Page X of X"
+// Template: Courier New 10pt, bold, allCaps, page number in red
+function createBylineAndPageNumber(template, byline, pageLabel) {
+  const { styles } = template;
+  return new Paragraph({
+    ...styles.byline.paragraph,
+    children: [
+      new TextRun({ ...styles.byline.run, text: byline }),
+      new TextRun({ ...styles.byline.run, text: '\t' }),
+      new TextRun({ ...styles.pageLabel.run, text: pageLabel }),
+    ],
+    tabStops: [{ type: TabStopType.RIGHT, position: textWidth(template) }],
+  });
+}
 
-    // MEDIA CLIPS — 35pt, centered, black
-    new Paragraph({
-      children: [new TextRun({ text: 'MEDIA CLIPS', size: 70 })],
-      alignment: AlignmentType.CENTER,
-      spacing: { after: 0 },
-    }),
+// Body text — template: Courier New 10pt, justified
+function createBodyRun({ styles }, text, options = {}) {
+  return new TextRun({ ...styles.body.run, ...options, text });
+}
 
-    // Blank spacer
-    new Paragraph({ text: '', spacing: { after: 0 } }),
+// Body paragraph spacing with some overrides
+function bodyParagraph({ styles }, options) {
+  const { paragraph } = styles.body;
+  return { ...paragraph, ...options, spacing: { ...paragraph.spacing, ...options.spacing } };
+}
 
-    // TUESDAY, — 35pt, black, centered
-    new Paragraph({
-      children: [new TextRun({ text: dayLine, size: 70 })],
-      alignment: AlignmentType.CENTER,
-      spacing: { after: 0, line: 276 },
-    }),
+function createBodyParagraph(template, text) {
+  return new Paragraph(bodyParagraph(template, { children: [createBodyRun(template, text)] }));
+}
 
-    // FEBRUARY 17th — 35pt, black, centered, superscript suffix (same size)
-    new Paragraph({
-      children: [
-        new TextRun({ text: monthDay, size: 70 }),
-        new TextRun({ text: suffix,   size: 70, superScript: true }),
-      ],
-      alignment: AlignmentType.CENTER,
-      spacing: { after: 480 },
-    }),
-  ];
+// Subhead — bold, left-aligned, a blank line's worth of space above
+function createSubhead(template, text) {
+  return new Paragraph(bodyParagraph(template, {
+    children: [createBodyRun(template, text, { bold: true })],
+    alignment: AlignmentType.LEFT,
+    keepNext: true,
+    spacing: { before: blankLine(template) },
+  }));
+}
 
-  // Logo — ~295x292px (from template EMUs: 2807335 x 2780030 at 9525 EMU/px)
-  if (logoBuffer) {
-    children.push(
-      new Paragraph({
-        children: [
-          new ImageRun({
-            data: logoBuffer,
-            transformation: { width: 295, height: 292 },
-            type: 'png',
-          }),
-        ],
-        alignment: AlignmentType.CENTER,
-      })
-    );
-  }
+// Blockquote — italic, indented three characters on both sides, half a
+// blank line above and below
+function createBlockquote(template, text) {
+  const indent = twips(packetLayout(template).blockquoteIndent);
+  const space = Math.round(blankLine(template) / 2);
+  return new Paragraph(bodyParagraph(template, {
+    children: [createBodyRun(template, text, { italics: true })],
+    indent: { left: indent, right: indent },
+    spacing: { before: space, after: space },
+  }));
+}
+
+function createBodyParagraphs(template, blocks) {
+  if (blocks.length === 0) return [new Paragraph(bodyParagraph(template, {}))];
 
-  return children;
+  return blocks.map(block => {
+    if (block.type === 'subhead') return createSubhead(template, block.text);
+    if (block.type === 'blockquote') return createBlockquote(template, block.text);
+    return createBodyParagraph(template, block.text);
+  });
 }
 
 // ---------------------------------------------------------------------------
-// Article elements
+// Contents page — one linked line per clip with its starting page
 // ---------------------------------------------------------------------------
 
-// Publication header — body paragraph, not a page header
-// "SOURCE – Day, Month Date, Year" | Courier New 10pt | italic | red | right-aligned
-function createPublicationHeader(source, publishedAt) {
+// "CONTENTS" / "OTHER COVERAGE" — styled like an article title, a blank
+// line above the list
+function createPageHeading(template, text, bookmark = null) {
+  const { styles } = template;
+  const run = new TextRun({ ...styles.title.run, text });
   return new Paragraph({
-    children: [
-      new TextRun({
-        text: `${source} \u2013 ${formatHeaderDate(publishedAt)}`,  // en-dash
-        font: 'Courier New',
-        size: 20,
-        italics: true,
-      }),
-    ],
-    alignment: AlignmentType.RIGHT,
-    spacing: { after: 0, line: 240 },
+    ...styles.title.paragraph,
+    children: [bookmark ? new Bookmark({ id: bookmark, children: [run] }) : run],
+    spacing: { ...styles.title.paragraph.spacing, after: blankLine(template) },
   });
 }
 
-// Title — Courier New 20pt | bold
-function createTitle(title) {
-  return new Paragraph({
+class FieldChar extends XmlComponent {
+  constructor(type) {
+    super('w:fldChar');
+    this.root.push(new XmlAttributeComponent({ 'w:fldCharType': type }));
+  }
+}
+
+class FieldInstruction extends XmlComponent {
+  constructor(instruction) {
+    super('w:instrText');
+    this.root.push(new XmlAttributeComponent({ 'xml:space': 'preserve' }));
+    this.root.push(instruction);
+  }
+}
+
+// PAGEREF field showing our estimated page until Word updates fields (F9).
+// docx's PageReference leaves the result empty, which reads as a blank.
+function createPageReference({ styles }, bookmark, page) {
+  return new TextRun({
+    ...styles.body.run,
     children: [
-      new TextRun({
-        text: title,
-        font: 'Courier New',
-        size: 40,
-        bold: true,
-      }),
+      new FieldChar('begin'),
+      new FieldInstruction(` PAGEREF ${bookmark} \\h `),
+      new FieldChar('separate'),
+      String(page ?? ''),
+      new FieldChar('end'),
     ],
-    alignment: AlignmentType.LEFT,
-    spacing: { after: 0, line: 240 },
   });
 }
 
-// Byline + page number on same line
-// "BY NAME, OUTLET" [right tab] "Page X of X"
-// Courier New 10pt | bold | allCaps | page number in red
-function createBylineAndPageNumber(author, source, pageNum, totalPages) {
-  return new Paragraph({
+// Outlet under which a group of entries is listed — bold, caps, a blank
+// line above
+function createContentsGroupHeading(template, text) {
+  return new Paragraph(bodyParagraph(template, {
+    children: [createBodyRun(template, text, { bold: true, allCaps: true })],
+    alignment: AlignmentType.LEFT,
+    keepNext: true,
+    spacing: { before: blankLine(template), after: 0 },
+  }));
+}
+
+// "Outlet – Headline, Author ........ 5", the whole line linking to the
+// clip, half a blank line below
+function createContentsEntry(template, { bookmark, title, author, source }, page) {
+  return new Paragraph(bodyParagraph(template, {
     children: [
-      new TextRun({
-        text: `By ${author || 'Staff'}, ${source}`,
-        font: 'Courier New',
-        size: 20,
-        bold: true,
-        allCaps: true,
-      }),
-      new TextRun({ text: '\t' }),
-      new TextRun({
-        text: `Page ${pageNum} of ${totalPages}`,
-        font: 'Courier New',
-        size: 20,
-        bold: true,
-        allCaps: true,
+      new InternalHyperlink({
+        anchor: bookmark,
+        children: [
+          ...(source ? [createBodyRun(template, `${source} \u2013 `, { italics: true })] : []),
+          createBodyRun(template, title, { bold: true }),
+          ...(author ? [createBodyRun(template, `, ${author}`)] : []),
+          createBodyRun(template, '\t'),
+          createPageReference(template, bookmark, page),
+        ],
       }),
     ],
-    tabStops: [{ type: TabStopType.RIGHT, position: TEXT_WIDTH }],
-    spacing: { after: 0, line: 240 },
+    alignment: AlignmentType.LEFT,
+    tabStops: [{ type: TabStopType.RIGHT, position: textWidth(template), leader: LeaderType.DOT }],
+    spacing: { after: Math.round(blankLine(template) / 2) },
+  }));
+}
+
+function createContentsPage(template, { groups }, starts) {
+  return [
+    createPageHeading(template, 'CONTENTS'),
+    ...groups.flatMap(group => [
+      group.heading && createContentsGroupHeading(template, group.heading),
+      ...group.entries.map(entry => createContentsEntry(template, entry, starts.get(entry.bookmark))),
+    ].filter(Boolean)),
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Digest pages — the summary table and a divider before each day
+// ---------------------------------------------------------------------------
+
+const CELL_MARGINS = { left: 60, right: 60, top: 20, bottom: 20 };
+
+// Day and total columns fit a "10/17" date line; the outlet column takes the rest
+function countColumn(template) {
+  return twips('10/17'.length * packetLayout(template).charWidth) + CELL_MARGINS.left + CELL_MARGINS.right;
+}
+
+function createSummaryCell(template, lines, { bold = false, alignment = AlignmentType.CENTER } = {}) {
+  return new TableCell({
+    children: lines.map(text => new Paragraph(bodyParagraph(template, {
+      children: [createBodyRun(template, String(text), { bold })],
+      alignment,
+      spacing: { after: 0 },
+    }))),
   });
 }
 
-// Body paragraphs — Courier New 10pt | justified | line spacing 259
-function createBodyParagraphs(content) {
-  const paragraphs = (content || '').split('\n').filter(p => p.trim());
-  if (paragraphs.length === 0) return [new Paragraph({ text: '' })];
+// "CLIPS BY DAY", then outlets down the side and days across, with totals.
+// Day headings go on two lines ("Sat" over "10/17") to fit the narrow columns.
+function createSummaryPage(template, { days, rows, totals, total }) {
+  const count = countColumn(template);
+  const outletWidth = textWidth(template) - (days.length + 1) * count;
+  const left = { alignment: AlignmentType.LEFT };
+  const row = (cells, options) => new TableRow({ children: cells, ...options });
+  return [
+    createPageHeading(template, 'CLIPS BY DAY'),
+    new Table({
+      columnWidths: [outletWidth, ...days.map(() => count), count],
+      width: { size: textWidth(template), type: WidthType.DXA },
+      margins: CELL_MARGINS,
+      rows: [
+        row([
+          createSummaryCell(template, ['Outlet'], { ...left, bold: true }),
+          ...days.map(day => createSummaryCell(template, day.label.split(', '), { bold: true })),
+          createSummaryCell(template, ['Total'], { bold: true }),
+        ], { tableHeader: true }),
+        ...rows.map(({ outlet, counts, total: outletTotal }) => row([
+          createSummaryCell(template, [outlet], left),
+          ...counts.map(count => createSummaryCell(template, [count || '\u2013'])),
+          createSummaryCell(template, [outletTotal], { bold: true }),
+        ])),
+        row([
+          createSummaryCell(template, ['Total'], { ...left, bold: true }),
+          ...totals.map(count => createSummaryCell(template, [count], { bold: true })),
+          createSummaryCell(template, [total], { bold: true }),
+        ]),
+      ],
+    }),
+  ];
+}
 
-  return paragraphs.map(para =>
+// The day's date styled like the cover's, a fifth of the way down the page,
+// two blank lines over its clip count. The day line carries the bookmark
+// the contents page links to.
+function createDividerPage(template, { bookmark, cover, clips }) {
+  const style = role => template.cover.find(p => p.role === role) || template.styles.title;
+  const day = style('day');
+  const monthDay = style('monthDay');
+  return [
+    new Paragraph({
+      ...day.paragraph,
+      alignment: AlignmentType.CENTER,
+      spacing: { ...day.paragraph.spacing, before: Math.round(textHeight(template) / 5) },
+      children: [new Bookmark({ id: bookmark, children: [new TextRun({ ...day.run, text: cover.dayLine })] })],
+    }),
     new Paragraph({
+      ...monthDay.paragraph,
+      alignment: AlignmentType.CENTER,
       children: [
-        new TextRun({
-          text: para.trim(),
-          font: 'Courier New',
-          size: 20,
-        }),
+        new TextRun({ ...monthDay.run, text: cover.monthDay }),
+        new TextRun({ ...(monthDay.suffix || { ...monthDay.run, superScript: true }), text: cover.suffix }),
       ],
-      alignment: AlignmentType.BOTH,
-      spacing: { after: 0, line: 259, lineRule: 'auto' },
-    })
-  );
+    }),
+    new Paragraph(bodyParagraph(template, {
+      children: [createBodyRun(template, `${clips} clip${clips === 1 ? '' : 's'}`, { italics: true })],
+      alignment: AlignmentType.CENTER,
+      spacing: { before: 2 * blankLine(template) },
+    })),
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Other Coverage appendix — excerpt-only / paywalled stories as a list
+// ---------------------------------------------------------------------------
+
+// Headline (bold), then "By Author, Outlet – time", then the URL and a
+// blank line
+function createAppendixEntry(template, { title, credit, url }) {
+  const line = (run, options) => new Paragraph(bodyParagraph(template, {
+    children: [run],
+    alignment: AlignmentType.LEFT,
+    ...options,
+  }));
+  return [
+    line(createBodyRun(template, title, { bold: true }), { keepNext: true, spacing: { after: 0 } }),
+    line(createBodyRun(template, credit, { italics: true }), { keepNext: true, spacing: { after: 0 } }),
+    line(createBodyRun(template, url), { spacing: { after: blankLine(template) } }),
+  ];
 }
 
 // ---------------------------------------------------------------------------
 // Main export
 // ---------------------------------------------------------------------------
 
-export async function generateDocx(articles, currentDate = new Date()) {
-  const logoBuffer = await fetchLogoBuffer();
-  const totalPages = articles.length;
+/**
+ * Build the packet. Pages follow `order` (article ids, as arranged in the
+ * web app) when given, else the order of `articles`. With `otherCoverage`
+ * set, articles we only have a teaser for are listed in an "Other Coverage"
+ * appendix instead of getting clip pages of their own. `contents` ('order',
+ * 'outlet' or null) lays out the contents page after the cover. `digest`
+ * ({ start, end } edition dates) builds a several-day packet: a "WEEK OF"
+ * cover, a summary page of clips by outlet and day, and a divider before
+ * each day's clips.
+ *
+ * `template` is required: a Word template read by loadTemplate() in
+ * src/docx-template.js, which sets the fonts, spacing, page setup, cover
+ * text and logo. `logo` (PNG/JPEG/GIF bytes) replaces the template's logo
+ * at the same size, or null leaves it out. Nothing here fetches or touches
+ * the DOM, so the web app and scripts/build-packet.js build the same
+ * document. The content comes from buildPacket() in src/packet.js, which
+ * the web app's preview shares.
+ */
+export async function generateDocx(articles, currentDate = new Date(), options = {}) {
+  const { template, logo } = options;
+  if (!template) throw new Error('generateDocx() needs a template from loadTemplate()');
+  const packet = buildPacket(articles, currentDate, options);
+  const { cover, contents, clips, appendix } = packet;
+  const page = template.page;
 
   const sections = [
     // Cover page
     {
-      properties: { page: { size: pageSize, margin: pageMargin } },
-      children: createTitlePage(currentDate, logoBuffer),
+      properties: { page },
+      children: createTitlePage(template, cover, coverLogo(template, logo)),
     },
   ];
 
-  articles.forEach((article, index) => {
-    const pageNum = index + 1;
-    const body = createBodyParagraphs(article.content || article.excerpt || '');
+  // Contents page — where the template's blank second page sits
+  if (contents) {
+    sections.push({
+      properties: { type: SectionType.NEXT_PAGE, page },
+      children: createContentsPage(template, contents, startPages(paginatePacket(packet, template))),
+    });
+  }
 
+  const pushClip = clip => {
     // Article header section — single column, starts on new page
     sections.push({
-      properties: {
-        type: SectionType.NEXT_PAGE,
-        page: { size: pageSize, margin: pageMargin },
-      },
+      properties: { type: SectionType.NEXT_PAGE, page },
       children: [
-        createPublicationHeader(article.source, article.publishedAt),
-        createTitle(article.title),
-        createBylineAndPageNumber(article.author, article.source, pageNum, totalPages),
+        createPublicationHeader(template, clip),
+        createTitle(template, clip.title),
+        createBylineAndPageNumber(template, clip.byline, clip.pageLabel),
       ],
     });
 
-    // Article body section — 2 columns, continuous (no page break)
+    // Article body section — the template's columns, continuous (no page break)
     sections.push({
       properties: {
         type: SectionType.CONTINUOUS,
-        column: { count: 2, space: COL_SPACE, equalWidth: true },
-        page: { size: pageSize, margin: pageMargin },
+        column: { ...template.columns, equalWidth: true },
+        page,
       },
-      children: body,
+      children: createBodyParagraphs(template, clip.body),
     });
-  });
+  };
 
-  return new Document({ sections });
-}
+  if (packet.days) {
+    // Digest: the summary, then each day behind its divider
+    sections.push({
+      properties: { type: SectionType.NEXT_PAGE, page },
+      children: createSummaryPage(template, packet.summary),
+    });
+    packet.days.filter(day => day.clips).forEach(day => {
+      sections.push({
+        properties: { type: SectionType.NEXT_PAGE, page },
+        children: createDividerPage(template, day),
+      });
+      clips.filter(clip => clip.day === day.date).forEach(pushClip);
+    });
+  } else {
+    clips.forEach(pushClip);
+  }
 
-export async function downloadDocx(articles, filename = 'Chicago-Bears-Clips.docx') {
-  const doc = await generateDocx(articles);
-  const blob = await Packer.toBlob(doc);
-  const url = window.URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  window.URL.revokeObjectURL(url);
+  if (appendix.length) {
+    sections.push({
+      properties: { type: SectionType.NEXT_PAGE, page },
+      children: [
+        createPageHeading(template, 'OTHER COVERAGE', APPENDIX_BOOKMARK),
+        ...appendix.flatMap(entry => createAppendixEntry(template, entry)),
+      ],
+    });
+  }
+
+  return new Document({
+    styles: { default: { document: { run: template.base.run, paragraph: template.base.paragraph } } },
+    sections,
+  });
 }
@@ -0,0 +1,268 @@
+/**
+ * Word templates for the packet.
+ * The generator takes its fonts, sizes, colors, spacing, page setup, cover
+ * text and logo from a .docx made in Word (public/templates/), so a style
+ * change means editing the template, not the code. A template is a sample
+ * packet whose paragraphs are found by their placeholder text:
+ *
+ *   cover        everything before the first page break; "DATE," and
+ *                "FEBRUARY XXth" become the edition date, a picture becomes
+ *                the logo, and any other text is kept as written
+ *   OUTLET – …   the publication header
+ *   TITLE        the headline
+ *   By NAME, …   the byline; its last run ("Page X of X") styles the page label
+ *   COURIER NEW… the body text; its section's columns are the body's
+ *
+ * Shared by the web app (browser) and the tests (Node).
+ */
+
+import JSZip from 'jszip';
+import xmljs from 'xml-js';
+
+export const TEMPLATES = {
+  daily: { label: 'Daily', file: 'daily.docx' },
+  weekly: { label: 'Weekly', file: 'weekly.docx' },
+  gameday: { label: 'Game day', file: 'gameday.docx' },
+};
+
+export const DEFAULT_TEMPLATE = 'daily';
+
+const PLACEHOLDERS = {
+  day: /^DATE,?$/i,
+  monthDay: /\bXX(st|nd|rd|th)?$/i,
+  header: /^OUTLET\b/i,
+  title: /^TITLE$/i,
+  byline: /^By NAME\b/i,
+  body: /^COURIER NEW\b/i,
+};
+
+const EMU_PER_PIXEL = 9525;
+
+// ---------------------------------------------------------------------------
+// XML helpers (xml-js non-compact trees)
+// ---------------------------------------------------------------------------
+
+function parseXml(xml) {
+  return xmljs.xml2js(xml, { compact: false, captureSpacesBetweenElements: true });
+}
+
+const childrenOf = (el, name) => (el?.elements || []).filter(child => child.name === name);
+const childOf = (el, name) => childrenOf(el, name)[0];
+const attr = (el, name) => el?.attributes?.[name];
+
+// Every descendant element called `name`
+function findAll(el, name, found = []) {
+  for (const child of el?.elements || []) {
+    if (child.name === name) found.push(child);
+    findAll(child, name, found);
+  }
+  return found;
+}
+
+function textOf(el) {
+  return findAll(el, 'w:t').map(t => (t.elements || []).map(node => node.text ?? '').join('')).join('');
+}
+
+const twips = value => (value === undefined ? undefined : Number(value));
+
+// w:b, w:i, w:caps … are on unless w:val says otherwise
+function toggle(el) {
+  if (!el) return undefined;
+  const val = attr(el, 'w:val');
+  return val === undefined || !['0', 'false', 'off'].includes(val);
+}
+
+// ---------------------------------------------------------------------------
+// Formatting → docx options
+// ---------------------------------------------------------------------------
+
+// Run properties (w:rPr) as TextRun options. Theme fonts resolve through
+// the template's theme.
+function runOptions(rPr, themeFonts) {
+  if (!rPr) return {};
+  const options = {};
+  const fonts = childOf(rPr, 'w:rFonts');
+  const font = attr(fonts, 'w:ascii') || themeFonts[attr(fonts, 'w:asciiTheme')];
+  if (font) options.font = font;
+  const size = attr(childOf(rPr, 'w:sz'), 'w:val');
+  if (size) options.size = Number(size);
+  const color = attr(childOf(rPr, 'w:color'), 'w:val');
+  if (color && color !== 'auto') options.color = color;
+  for (const [tag, key] of [['w:b', 'bold'], ['w:i', 'italics'], ['w:caps', 'allCaps']]) {
+    const on = toggle(childOf(rPr, tag));
+    if (on !== undefined) options[key] = on;
+  }
+  if (attr(childOf(rPr, 'w:vertAlign'), 'w:val') === 'superscript') options.superScript = true;
+  return options;
+}
+
+// Paragraph properties (w:pPr) as Paragraph options
+function paragraphOptions(pPr) {
+  if (!pPr) return {};
+  const options = {};
+  const jc = attr(childOf(pPr, 'w:jc'), 'w:val');
+  if (jc) options.alignment = jc;
+  const spacing = childOf(pPr, 'w:spacing');
+  if (spacing) {
+    options.spacing = {};
+    for (const key of ['before', 'after', 'line']) {
+      const value = twips(attr(spacing, `w:${key}`));
+      if (value !== undefined) options.spacing[key] = value;
+    }
+    const lineRule = attr(spacing, 'w:lineRule');
+    if (lineRule) options.spacing.lineRule = lineRule;
+  }
+  const ind = childOf(pPr, 'w:ind');
+  if (ind) {
+    options.indent = {};
+    for (const key of ['left', 'right', 'firstLine', 'hanging']) {
+      const value = twips(attr(ind, `w:${key}`));
+      if (value !== undefined) options.indent[key] = value;
+    }
+  }
+  if (toggle(childOf(pPr, 'w:keepNext'))) options.keepNext = true;
+  return options;
+}
+
+// Later formatting wins; spacing and indents merge key by key
+function mergeParagraph(...layers) {
+  return layers.reduce((merged, layer) => ({
+    ...merged,
+    ...layer,
+    ...(merged.spacing || layer.spacing ? { spacing: { ...merged.spacing, ...layer.spacing } } : {}),
+    ...(merged.indent || layer.indent ? { indent: { ...merged.indent, ...layer.indent } } : {}),
+  }), {});
+}
+
+// ---------------------------------------------------------------------------
+// Template loading
+// ---------------------------------------------------------------------------
+
+function readThemeFonts(themeXml) {
+  if (!themeXml) return {};
+  const theme = parseXml(themeXml);
+  const latin = name => attr(childOf(findAll(theme, name)[0], 'a:latin'), 'typeface');
+  const minor = latin('a:minorFont');
+  const major = latin('a:majorFont');
+  return { minorHAnsi: minor, minorAscii: minor, majorHAnsi: major, majorAscii: major };
+}
+
+// Document defaults and the Normal style, which every paragraph starts from
+function readBaseStyle(stylesXml, themeFonts) {
+  if (!stylesXml) return { run: {}, paragraph: {} };
+  const styles = parseXml(stylesXml);
+  const defaults = findAll(styles, 'w:docDefaults')[0];
+  const normal = findAll(styles, 'w:style')
+    .find(style => attr(style, 'w:type') === 'paragraph' && ['1', 'true', 'on'].includes(attr(style, 'w:default')));
+  return {
+    run: {
+      ...runOptions(findAll(defaults, 'w:rPr')[0], themeFonts),
+      ...runOptions(childOf(normal, 'w:rPr'), themeFonts),
+    },
+    paragraph: mergeParagraph(
+      paragraphOptions(findAll(defaults, 'w:pPr')[0]),
+      paragraphOptions(childOf(normal, 'w:pPr')),
+    ),
+  };
+}
+
+function readPage(sectPr) {
+  const size = childOf(sectPr, 'w:pgSz');
+  const margin = childOf(sectPr, 'w:pgMar');
+  const cols = childOf(sectPr, 'w:cols');
+  return {
+    size: { width: twips(attr(size, 'w:w')), height: twips(attr(size, 'w:h')) },
+    margin: Object.fromEntries(['top', 'right', 'bottom', 'left', 'header', 'footer']
+      .map(key => [key, twips(attr(margin, `w:${key}`))])
+      .filter(([, value]) => value !== undefined)),
+    columns: { count: Number(attr(cols, 'w:num') || 1), space: twips(attr(cols, 'w:space')) ?? 720 },
+  };
+}
+
+const hasPageBreak = p => findAll(p, 'w:br').some(br => attr(br, 'w:type') === 'page');
+
+/**
+ * Read a .docx template (ArrayBuffer, Uint8Array or Buffer) into
+ *   { base: { run, paragraph }, page: { size, margin }, columns: { count, space },
+ *     cover: [{ role: 'text' | 'day' | 'monthDay' | 'logo' | 'blank', text, paragraph, run, suffix }],
+ *     logo: { data, width, height, type } or null,
+ *     styles: { header, title, byline, pageLabel, body: { paragraph, run } } }
+ * Paragraph and run options are complete (defaults and Normal style
+ * folded in), ready for docx's Paragraph and TextRun. Throws if a
+ * placeholder is missing.
+ */
+export async function loadTemplate(data) {
+  const zip = await JSZip.loadAsync(data);
+  const read = path => zip.file(path)?.async('string');
+  const documentXml = await read('word/document.xml');
+  if (!documentXml) throw new Error('not a Word document');
+
+  const themeFonts = readThemeFonts(await read('word/theme/theme1.xml'));
+  const base = readBaseStyle(await read('word/styles.xml'), themeFonts);
+  const body = findAll(parseXml(documentXml), 'w:body')[0];
+  const paragraphs = childrenOf(body, 'w:p');
+
+  const style = (p, run = findAll(p, 'w:r').find(r => findAll(r, 'w:t').length) || null) => ({
+    paragraph: mergeParagraph(base.paragraph, paragraphOptions(childOf(p, 'w:pPr'))),
+    run: {
+      ...base.run,
+      ...runOptions(childOf(run, 'w:rPr') || childOf(childOf(p, 'w:pPr'), 'w:rPr'), themeFonts),
+    },
+  });
+  const find = role => paragraphs.find(p => PLACEHOLDERS[role].test(textOf(p).trim()));
+
+  // Cover — up to the first page break or section end
+  const coverEnd = paragraphs.findIndex(p => hasPageBreak(p) || findAll(p, 'w:sectPr').length);
+  let logo = null;
+  const cover = [];
+  for (const p of paragraphs.slice(0, coverEnd === -1 ? paragraphs.length : coverEnd)) {
+    const text = textOf(p).trim();
+    const drawing = findAll(p, 'wp:extent')[0];
+    if (drawing) {
+      const embed = attr(findAll(p, 'a:blip')[0], 'r:embed');
+      logo = await readImage(zip, embed, drawing);
+      cover.push({ role: 'logo', ...style(p) });
+    } else if (PLACEHOLDERS.day.test(text)) {
+      cover.push({ role: 'day', ...style(p) });
+    } else if (PLACEHOLDERS.monthDay.test(text)) {
+      const runs = findAll(p, 'w:r').filter(r => findAll(r, 'w:t').length);
+      const suffixRun = runs.find(r => attr(findAll(r, 'w:vertAlign')[0], 'w:val') === 'superscript');
+      const { run: suffix } = style(p, suffixRun || runs[runs.length - 1]);
+      cover.push({ role: 'monthDay', ...style(p), suffix: { ...suffix, superScript: true } });
+    } else {
+      cover.push({ role: text ? 'text' : 'blank', text, ...style(p) });
+    }
+  }
+
+  const styles = {};
+  const placeholders = { header: 'OUTLET', title: 'TITLE', byline: 'By NAME', body: 'COURIER NEW' };
+  for (const [role, placeholder] of Object.entries(placeholders)) {
+    const p = find(role);
+    if (!p) throw new Error(`the template has no "${placeholder}" paragraph`);
+    styles[role] = style(p);
+  }
+  const bylineRuns = findAll(find('byline'), 'w:r').filter(r => findAll(r, 'w:t').length);
+  styles.pageLabel = style(find('byline'), bylineRuns[bylineRuns.length - 1]);
+
+  // Page setup from the first section; columns from the body's section
+  const sections = findAll(body, 'w:sectPr');
+  const bodyIndex = paragraphs.indexOf(find('body'));
+  const bodySection = paragraphs.slice(bodyIndex).map(p => findAll(p, 'w:sectPr')[0]).find(Boolean) ||
+    childOf(body, 'w:sectPr');
+  const { size, margin } = readPage(sections[0]);
+
+  return { base, page: { size, margin }, columns: readPage(bodySection).columns, cover, logo, styles };
+}
+
+async function readImage(zip, embed, extent) {
+  const rels = parseXml(await zip.file('word/_rels/document.xml.rels').async('string'));
+  const target = attr(findAll(rels, 'Relationship').find(rel => attr(rel, 'Id') === embed), 'Target');
+  const file = target && zip.file(`word/${target.replace(/^\//, '')}`);
+  if (!file) return null;
+  return {
+    data: await file.async('uint8array'),
+    width: Math.round(Number(attr(extent, 'cx')) / EMU_PER_PIXEL),
+    height: Math.round(Number(attr(extent, 'cy')) / EMU_PER_PIXEL),
+    type: /\.jpe?g$/i.test(target) ? 'jpg' : target.split('.').pop().toLowerCase(),
+  };
+}
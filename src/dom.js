@@ -0,0 +1,79 @@
+/**
+ * DOM building for the web app.
+ * h() creates elements from data without ever parsing HTML: strings and
+ * numbers become text nodes and attribute values are set one by one, so
+ * scraped titles, bylines and user keywords can't inject markup or script.
+ *
+ *   h('button', { class: 'keyword-remove', dataset: { keyword }, onClick }, '×')
+ *
+ * Uses the global `document` (jsdom provides one in the tests).
+ */
+
+const SAFE_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+
+/**
+ * The URL if it is an absolute http(s) or mailto link, else null — keeps
+ * javascript: and data: URLs from scraped feeds out of hrefs.
+ */
+export function safeUrl(url) {
+  try {
+    return SAFE_PROTOCOLS.has(new URL(url).protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+function appendChildren(el, children) {
+  for (const child of children) {
+    if (child === null || child === undefined || child === false || child === true) continue;
+    if (Array.isArray(child)) {
+      appendChildren(el, child);
+    } else if (typeof child === 'object' && 'nodeType' in child) {
+      el.appendChild(child);
+    } else {
+      el.appendChild(document.createTextNode(String(child)));
+    }
+  }
+}
+
+/**
+ * Create an element.
+ *   props — attributes, with a few special keys:
+ *     class            string, or array of strings (falsy entries skipped)
+ *     dataset          { key: value } for data-* attributes
+ *     style            { property: value }
+ *     onClick, onInput, … event listeners (any key starting "on")
+ *     value, checked, disabled, selected, hidden  set as properties
+ *     href, src        dropped unless safeUrl() allows them
+ *   children — nodes, strings, numbers or (nested) arrays of them;
+ *     null, undefined and booleans are skipped
+ */
+export function h(tag, props = {}, ...children) {
+  const el = document.createElement(tag);
+
+  for (const [key, value] of Object.entries(props || {})) {
+    if (value === null || value === undefined || value === false) continue;
+
+    if (key === 'class') {
+      el.className = Array.isArray(value) ? value.filter(Boolean).join(' ') : value;
+    } else if (key === 'dataset') {
+      for (const [name, data] of Object.entries(value)) {
+        if (data !== null && data !== undefined) el.dataset[name] = String(data);
+      }
+    } else if (key === 'style') {
+      Object.assign(el.style, value);
+    } else if (/^on[A-Z]/.test(key)) {
+      el.addEventListener(key.slice(2).toLowerCase(), value);
+    } else if (key === 'value' || key === 'checked' || key === 'disabled' || key === 'selected' || key === 'hidden') {
+      el[key] = value;
+    } else if (key === 'href' || key === 'src') {
+      const url = safeUrl(value);
+      if (url) el.setAttribute(key, url);
+    } else {
+      el.setAttribute(key, value === true ? '' : String(value));
+    }
+  }
+
+  appendChildren(el, children);
+  return el;
+}
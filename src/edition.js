@@ -0,0 +1,104 @@
+/**
+ * Edition dates.
+ * Each daily packet covers 6 AM to 6 AM Central time and is named for the
+ * day it goes out: the "2026-10-18" edition holds everything published from
+ * 6 AM Oct 17 up to 6 AM Oct 18, America/Chicago, daylight saving included.
+ * Shared by the scraper (Node) and the web app (browser).
+ */
+
+export const EDITION_TIME_ZONE = 'America/Chicago';
+export const EDITION_START_HOUR = 6;
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: EDITION_TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+/**
+ * Wall-clock date and time in Chicago for an instant.
+ */
+export function getCentralParts(date) {
+  const parts = {};
+  for (const { type, value } of partsFormatter.formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts; // { year, month, day, hour, minute, second }
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+export function toDateString(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function parseDateString(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return { year, month, day };
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole calendar days.
+ */
+export function addDays(dateStr, days) {
+  const { year, month, day } = parseDateString(dateStr);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return toDateString(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate());
+}
+
+/**
+ * The instant a Chicago wall-clock time occurs. Corrects the UTC offset
+ * twice so times either side of a DST change land on the right hour.
+ */
+export function centralTimeToDate(dateStr, hour = 0, minute = 0) {
+  const { year, month, day } = parseDateString(dateStr);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wallClockAsUtc;
+  for (let i = 0; i < 2; i++) {
+    const p = getCentralParts(new Date(instant));
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+    instant = wallClockAsUtc - offset;
+  }
+  return new Date(instant);
+}
+
+/**
+ * The edition (YYYY-MM-DD) an article published at `date` belongs to.
+ */
+export function editionDateFor(date) {
+  const { year, month, day, hour } = getCentralParts(new Date(date));
+  const today = toDateString(year, month, day);
+  return hour >= EDITION_START_HOUR ? addDays(today, 1) : today;
+}
+
+/**
+ * The most recent edition whose window has closed — the packet due out now.
+ */
+export function latestClosedEdition(now = new Date()) {
+  return addDays(editionDateFor(now), -1);
+}
+
+/**
+ * Start (inclusive) and end (exclusive) of an edition's window.
+ */
+export function editionWindow(dateStr) {
+  return {
+    start: centralTimeToDate(addDays(dateStr, -1), EDITION_START_HOUR),
+    end: centralTimeToDate(dateStr, EDITION_START_HOUR),
+  };
+}
+
+/**
+ * A local Date at midnight on the edition day, for the packet cover.
+ */
+export function editionToLocalDate(dateStr) {
+  const { year, month, day } = parseDateString(dateStr);
+  return new Date(year, month - 1, day);
+}
@@ -0,0 +1,206 @@
+/**
+ * The clips as an email for readers who never open the .docx: a headline
+ * list grouped by outlet, each headline linking to the story, with its
+ * byline and lead paragraph. Rendered as an HTML body (inline styles, for
+ * mail clients) and a plain-text version, packed together into a .eml
+ * draft that opens in the mail client ready to send. Built from the same
+ * packet model as the .docx, so the cover date and clip text match.
+ * Shared by the web app (browser) and the tests (Node).
+ */
+
+import { buildPacket, wrapText } from './packet.js';
+import { editionToLocalDate } from './edition.js';
+
+const NAVY = '#00205B';
+const ORANGE = '#FF6600';
+const TEXT_WIDTH = 72; // plain-text line length
+
+// ---------------------------------------------------------------------------
+// Email model
+// ---------------------------------------------------------------------------
+
+// The story's opening paragraph, skipping any subhead or pull quote above it
+function leadParagraph(body) {
+  return (body.find(block => block.type === 'paragraph') || body[0])?.text || '';
+}
+
+/**
+ * The email for `articles`, in the packet's order (`order` and `digest`
+ * work as in buildPacket()). Every article gets an entry — teasers lead
+ * with their excerpt — under its outlet, outlets in order of first
+ * appearance.
+ *   { subject, title, date: { dayLine, monthDay, suffix },
+ *     groups: [{ outlet, clips: [{ title, url, byline, lead }] }], count }
+ */
+export function buildEmail(articles, currentDate = new Date(), { order = null, digest = null } = {}) {
+  const { cover, clips } = buildPacket(articles, currentDate, { order, digest, contents: null });
+
+  const groups = new Map();
+  clips.forEach(clip => {
+    if (!groups.has(clip.source)) groups.set(clip.source, []);
+    groups.get(clip.source).push({ title: clip.title, url: clip.url, byline: clip.byline, lead: leadParagraph(clip.body) });
+  });
+
+  const day = (digest ? editionToLocalDate(digest.start) : currentDate).toLocaleDateString('en-US', {
+    weekday: digest ? undefined : 'long', month: 'long', day: 'numeric', year: 'numeric',
+  });
+  return {
+    subject: `Chicago Bears Media Clips – ${digest ? `Week of ${day}` : day}`, // en-dash
+    title: 'CHICAGO BEARS MEDIA CLIPS',
+    date: cover,
+    groups: [...groups].map(([outlet, entries]) => ({ outlet, clips: entries })),
+    count: clips.length,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// HTML body
+// ---------------------------------------------------------------------------
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Scraped text goes into markup here, so every value is escaped
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function htmlClip({ title, url, byline, lead }) {
+  const headline = url
+    ? `<a href="${escapeHtml(url)}" style="color:${NAVY};text-decoration:none;">${escapeHtml(title)}</a>`
+    : escapeHtml(title);
+  return [
+    '<tr><td style="padding:0 0 18px;">',
+    `<p style="margin:0 0 4px;font-size:17px;line-height:1.3;font-weight:bold;color:${NAVY};">${headline}</p>`,
+    `<p style="margin:0 0 6px;font-size:13px;color:#555555;">${escapeHtml(byline)}</p>`,
+    lead && `<p style="margin:0;font-size:15px;line-height:1.5;color:#222222;">${escapeHtml(lead)}</p>`,
+    '</td></tr>',
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * A complete HTML document for the email body. Table layout and inline
+ * styles only, since most mail clients drop <style> blocks and classes.
+ */
+export function emailHtml({ subject, title, date, groups }) {
+  const sections = groups.map(({ outlet, clips }) => [
+    `<tr><td style="padding:12px 0 8px;font-size:13px;font-weight:bold;letter-spacing:1px;text-transform:uppercase;color:${ORANGE};border-bottom:2px solid ${NAVY};">${escapeHtml(outlet)}</td></tr>`,
+    '<tr><td style="height:12px;"></td></tr>',
+    ...clips.map(htmlClip),
+  ].join('\n'));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f4f4;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f4;">
+<tr><td align="center" style="padding:16px 8px;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:640px;background:#ffffff;font-family:Arial,Helvetica,sans-serif;">
+<tr><td style="padding:24px;background:${NAVY};border-bottom:6px solid ${ORANGE};text-align:center;">
+<p style="margin:0;font-size:24px;font-weight:bold;letter-spacing:2px;color:#ffffff;">${escapeHtml(title)}</p>
+<p style="margin:8px 0 0;font-size:16px;font-weight:bold;color:${ORANGE};">${escapeHtml(`${date.dayLine} ${date.monthDay}`)}<sup>${escapeHtml(date.suffix)}</sup></p>
+</td></tr>
+<tr><td style="padding:8px 24px 12px;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+${sections.join('\n')}
+</table>
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>
+`;
+}
+
+// ---------------------------------------------------------------------------
+// Plain-text body
+// ---------------------------------------------------------------------------
+
+function wrap(text) {
+  return wrapText(text, TEXT_WIDTH).map(line => line.trimEnd());
+}
+
+/**
+ * The same email as plain text, wrapped at 72 characters, with each
+ * story's link on its own line.
+ */
+export function emailText({ title, date, groups }) {
+  const lines = [title, `${date.dayLine} ${date.monthDay}${date.suffix}`];
+  groups.forEach(({ outlet, clips }) => {
+    lines.push('', '', outlet.toUpperCase(), '='.repeat(Math.min(outlet.length, TEXT_WIDTH)));
+    clips.forEach(({ title: headline, url, byline, lead }) => {
+      lines.push('', ...wrap(headline), ...wrap(byline));
+      if (url) lines.push(url);
+      if (lead) lines.push('', ...wrap(lead));
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// ---------------------------------------------------------------------------
+// .eml draft
+// ---------------------------------------------------------------------------
+
+// Can't occur in base64, so it never clashes with the parts it separates
+const BOUNDARY = '=_bears-clips_alternative';
+
+function utf8Base64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// RFC 2047 encoded words for a non-ASCII header: 39 bytes of text at most
+// per word keeps every header line under 76 characters, and a character is
+// never split across words
+function encodeHeader(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  const words = [];
+  let word = '';
+  for (const ch of text) {
+    if (new TextEncoder().encode(word + ch).length > 39) {
+      words.push(word);
+      word = '';
+    }
+    word += ch;
+  }
+  words.push(word);
+  return words.map(w => `=?UTF-8?B?${utf8Base64(w)}?=`).join('\r\n ');
+}
+
+function base64Lines(text) {
+  return utf8Base64(text).match(/.{1,76}/g)?.join('\r\n') || '';
+}
+
+/**
+ * The email as a .eml file: multipart/alternative with the plain-text and
+ * HTML bodies. It has no sender or recipients, and X-Unsent marks it as a
+ * draft, so the mail client opens it ready to address and send.
+ */
+export function emailMessage(email) {
+  const part = (type, body) => [
+    `--${BOUNDARY}`,
+    `Content-Type: ${type}; charset=UTF-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(body),
+  ];
+  return [
+    'X-Unsent: 1',
+    `Subject: ${encodeHeader(email.subject)}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${BOUNDARY}"`,
+    '',
+    ...part('text/plain', emailText(email)),
+    ...part('text/html', emailHtml(email)),
+    `--${BOUNDARY}--`,
+    '',
+  ].join('\r\n');
+}
@@ -0,0 +1,110 @@
+/**
+ * Facets for narrowing the article list: outlet, author, publish time
+ * within the edition, content status and which keyword matched. Values
+ * ticked within one facet widen the list (OR); ticks in different facets
+ * narrow it (AND). Counts for a facet are taken over the articles the
+ * other facets allow, so each number is what ticking that value would add.
+ * Shared by the web app (browser) and the tests (Node).
+ */
+
+import { getCentralParts } from './edition.js';
+import { getContentStatus, CONTENT_STATUS_LABELS } from './content-status.js';
+import { matchQuery } from './search-query.js';
+
+// Parts of the 6 AM–6 AM edition day, in Central time
+export const TIME_RANGES = [
+  { label: 'Morning (6 AM–noon)', from: 6, to: 12 },
+  { label: 'Afternoon (noon–6 PM)', from: 12, to: 18 },
+  { label: 'Evening (6 PM–midnight)', from: 18, to: 24 },
+  { label: 'Overnight (midnight–6 AM)', from: 0, to: 6 },
+];
+const NO_TIME = 'No publish time';
+
+function timeRange(article) {
+  const date = new Date(article.publishedAt || NaN);
+  if (isNaN(date)) return NO_TIME;
+  const { hour } = getCentralParts(date);
+  return TIME_RANGES.find(range => hour >= range.from && hour < range.to).label;
+}
+
+/**
+ * The facets, in sidebar order. `values(article, keywords)` lists an
+ * article's values; `keywords` is [{ keyword, query }] with parsed queries.
+ * Facets with `fixedOrder` list values in that order, the rest by count.
+ */
+export const FACETS = [
+  {
+    id: 'source',
+    label: 'Outlet',
+    values: article => [article.source || 'Unknown'],
+  },
+  {
+    id: 'author',
+    label: 'Author',
+    values: article => (article.authors?.length ? article.authors : [article.author || 'Staff']),
+  },
+  {
+    id: 'time',
+    label: 'Published',
+    values: article => [timeRange(article)],
+    fixedOrder: [...TIME_RANGES.map(range => range.label), NO_TIME],
+  },
+  {
+    id: 'status',
+    label: 'Content',
+    values: article => [CONTENT_STATUS_LABELS[getContentStatus(article)]],
+    fixedOrder: Object.values(CONTENT_STATUS_LABELS),
+  },
+  {
+    id: 'keyword',
+    label: 'Matched keyword',
+    values: (article, keywords) => keywords.filter(({ query }) => matchQuery(query, article)).map(({ keyword }) => keyword),
+  },
+];
+
+/**
+ * Whether an article passes every facet with ticked values, skipping
+ * `except` (used for that facet's own counts).
+ */
+function passes(article, selections, keywords, except = null) {
+  return FACETS.every(facet => {
+    const ticked = selections[facet.id];
+    if (facet.id === except || !ticked?.size) return true;
+    return facet.values(article, keywords).some(value => ticked.has(value));
+  });
+}
+
+/**
+ * Articles allowed by the ticked facet values.
+ *   selections — { [facet id]: Set of values }
+ */
+export function filterByFacets(articles, selections, keywords = []) {
+  return articles.filter(article => passes(article, selections, keywords));
+}
+
+/**
+ * Every facet with its values and live counts:
+ * [{ id, label, values: [{ value, count, selected }] }]. Ticked values are
+ * always listed, even when nothing matches them any more.
+ */
+export function facetCounts(articles, selections, keywords = []) {
+  return FACETS.map(facet => {
+    const counts = new Map();
+    for (const article of articles) {
+      if (!passes(article, selections, keywords, facet.id)) continue;
+      for (const value of new Set(facet.values(article, keywords))) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+    const ticked = selections[facet.id] || new Set();
+    ticked.forEach(value => counts.has(value) || counts.set(value, 0));
+
+    const values = [...counts].map(([value, count]) => ({ value, count, selected: ticked.has(value) }));
+    if (facet.fixedOrder) {
+      values.sort((a, b) => facet.fixedOrder.indexOf(a.value) - facet.fixedOrder.indexOf(b.value));
+    } else {
+      values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+    return { id: facet.id, label: facet.label, values };
+  });
+}
@@ -0,0 +1,119 @@
+/**
+ * Keyword profiles: named keyword lists ("Daily", "Draft week") kept in
+ * localStorage so staff don't retype their searches every morning, plus
+ * the JSON export/import format for passing profiles around and the URL
+ * encoding that lets a colleague open the same search.
+ * Shared by the web app (browser) and the tests (Node).
+ */
+
+export const PROFILES_STORAGE_KEY = 'bears-clips.keywordProfiles';
+export const PROFILES_FORMAT_VERSION = 1;
+
+export const DEFAULT_PROFILES = [
+  { name: 'Daily', keywords: ['Bears'] },
+  { name: 'Stadium/Business', keywords: ['"Soldier Field"', '"Arlington Heights"', 'stadium', 'Warren OR McCaskey'] },
+  { name: 'Draft week', keywords: ['Bears draft', '"mock draft" Bears', 'Poles'] },
+];
+
+function isValidProfile(profile) {
+  return profile && typeof profile.name === 'string' && profile.name.trim() &&
+    Array.isArray(profile.keywords) && profile.keywords.every(keyword => typeof keyword === 'string');
+}
+
+function cleanProfile(profile) {
+  return {
+    name: profile.name.trim(),
+    keywords: [...new Set(profile.keywords.map(keyword => keyword.trim()).filter(Boolean))],
+  };
+}
+
+/**
+ * Saved profiles and the active profile's name. Falls back to the
+ * defaults when nothing (valid) is saved.
+ */
+export function loadProfiles(storage) {
+  try {
+    const saved = JSON.parse(storage.getItem(PROFILES_STORAGE_KEY));
+    if (saved && Array.isArray(saved.profiles) && saved.profiles.length && saved.profiles.every(isValidProfile)) {
+      const profiles = saved.profiles.map(cleanProfile);
+      const active = profiles.some(p => p.name === saved.active) ? saved.active : profiles[0].name;
+      return { profiles, active };
+    }
+  } catch {
+    // fall through to the defaults
+  }
+  return { profiles: DEFAULT_PROFILES.map(cleanProfile), active: DEFAULT_PROFILES[0].name };
+}
+
+export function saveProfiles(storage, { profiles, active }) {
+  storage.setItem(PROFILES_STORAGE_KEY, JSON.stringify({ profiles, active }));
+}
+
+/**
+ * Add a profile, or replace the one with the same name (returns a new list).
+ */
+export function upsertProfile(profiles, profile) {
+  const cleaned = cleanProfile(profile);
+  const index = profiles.findIndex(p => p.name === cleaned.name);
+  if (index === -1) return [...profiles, cleaned];
+  return profiles.map((p, i) => (i === index ? cleaned : p));
+}
+
+export function deleteProfile(profiles, name) {
+  return profiles.filter(p => p.name !== name);
+}
+
+/**
+ * Profiles as a JSON file for sharing or backup.
+ */
+export function exportProfiles(profiles) {
+  return JSON.stringify({ version: PROFILES_FORMAT_VERSION, profiles }, null, 2);
+}
+
+/**
+ * Merge profiles from an exported JSON file into `profiles`; imported
+ * profiles replace ones of the same name. Throws if the file isn't a
+ * profile export.
+ */
+export function importProfiles(json, profiles) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('not a JSON file');
+  }
+  const imported = Array.isArray(data) ? data : data?.profiles;
+  if (!Array.isArray(imported) || !imported.length) throw new Error('no profiles in the file');
+  const invalid = imported.findIndex(profile => !isValidProfile(profile));
+  if (invalid !== -1) throw new Error(`profile ${invalid + 1} needs a name and a list of keywords`);
+
+  return {
+    profiles: imported.reduce((merged, profile) => upsertProfile(merged, profile), profiles),
+    names: imported.map(profile => profile.name.trim()),
+  };
+}
+
+/**
+ * The search as URL query parameters: ?profile=Daily&q=Bears&q=Poles&edition=2026-10-18
+ */
+export function encodeSearchState({ profile, keywords, edition }) {
+  const params = new URLSearchParams();
+  if (profile) params.set('profile', profile);
+  keywords.forEach(keyword => params.append('q', keyword));
+  if (edition) params.set('edition', edition);
+  return params.toString();
+}
+
+/**
+ * Read a search back from a URL's query string. Fields missing from the
+ * URL are null.
+ */
+export function decodeSearchState(search) {
+  const params = new URLSearchParams(search);
+  const keywords = params.getAll('q').map(keyword => keyword.trim()).filter(Boolean);
+  return {
+    profile: params.get('profile') || null,
+    keywords: keywords.length ? keywords : null,
+    edition: /^\d{4}-\d{2}-\d{2}$/.test(params.get('edition') || '') ? params.get('edition') : null,
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Articles added by hand in the web app — print-only pieces, radio
+ * transcripts, paywalled stories a staffer copied — for clips that never
+ * reach articles.json. They have the scraper's article shape with
+ * `manual: true` and belong to the edition that was open in the app when
+ * they were added. They're kept in localStorage for KEEP_DAYS after that
+ * edition, so a past edition reopened from the archive still has them.
+ */
+
+import { latestClosedEdition, addDays, centralTimeToDate, getCentralParts, toDateString } from './edition.js';
+import { unwrapBody } from './clip-import.js';
+
+export const MANUAL_STORAGE_KEY = 'bears-clips.manualArticles';
+export const KEEP_DAYS = 60; // how long after its edition a hand-added article (or an edit) is kept
+
+/**
+ * A "YYYY-MM-DDTHH:MM" datetime-local value read as Chicago time, or null.
+ */
+export function parsePublishTime(value) {
+  const match = (value || '').match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/);
+  if (!match) return null;
+  return centralTimeToDate(match[1], Number(match[2]), Number(match[3]));
+}
+
+/**
+ * An ISO timestamp as a datetime-local value in Chicago time; '' if unset.
+ */
+export function formatPublishTime(iso) {
+  const date = new Date(iso || NaN);
+  if (isNaN(date)) return '';
+  const { year, month, day, hour, minute } = getCentralParts(date);
+  return `${toDateString(year, month, day)}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Build an article from the Add article form or an imported clip.
+ *   fields — { title, author, source, publishedAt (Date or null), body }
+ *            where body is text or a list of { type, text } blocks
+ *   edition — the edition the article is added to (default: the packet due now)
+ */
+export function createManualArticle(fields, { edition, now = new Date() } = {}) {
+  const body = Array.isArray(fields.body) ? fields.body : unwrapBody(fields.body || '');
+  const content = body.map(block => block.text).join('\n\n');
+  const author = (fields.author || '').trim();
+  const published = fields.publishedAt && !isNaN(fields.publishedAt) ? fields.publishedAt : null;
+
+  return {
+    id: `manual-${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    title: fields.title.trim(),
+    author,
+    authors: author ? author.split(/\s*(?:,|&|\band\b)\s*/i).filter(Boolean) : [],
+    source: fields.source.trim(),
+    sourceUrl: null,
+    publishedAt: published ? published.toISOString() : null,
+    publishedAtSource: published ? 'manual' : null,
+    excerpt: (body.find(block => block.type === 'paragraph')?.text || '').slice(0, 400) || null,
+    content,
+    body,
+    contentStrategy: 'manual',
+    contentStatus: 'full',
+    manual: true,
+    edition: edition || latestClosedEdition(now),
+    scrapedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Whether something saved for an edition is old enough to forget: its
+ * edition closed more than KEEP_DAYS ago.
+ */
+export function isExpired({ edition }, now = new Date()) {
+  return edition < addDays(latestClosedEdition(now), -KEEP_DAYS);
+}
+
+/**
+ * Saved manual articles, minus expired ones (which are removed from
+ * storage). Articles of past editions stay until they expire.
+ */
+export function loadManualArticles(storage, now = new Date()) {
+  let saved = [];
+  try {
+    saved = JSON.parse(storage.getItem(MANUAL_STORAGE_KEY) || '[]');
+  } catch {
+    saved = [];
+  }
+  if (!Array.isArray(saved)) saved = [];
+
+  const current = saved.filter(article => article?.edition && !isExpired(article, now));
+  if (current.length !== saved.length) saveManualArticles(storage, current);
+  return current;
+}
+
+export function saveManualArticles(storage, articles) {
+  if (articles.length) {
+    storage.setItem(MANUAL_STORAGE_KEY, JSON.stringify(articles));
+  } else {
+    storage.removeItem(MANUAL_STORAGE_KEY);
+  }
+}
@@ -0,0 +1,562 @@
+/**
+ * The clip packet as data: cover, contents, one entry per clip with its
+ * header block and body, and the Other Coverage appendix — or, for a
+ * digest covering several editions, a summary page and the clips under a
+ * divider for each day. generateDocx() turns it into Word sections; the
+ * web app's preview lays the same model out on letter-size pages with
+ * paginatePacket(), so what staff check is what downloads.
+ * Shared by the web app (browser) and the tests (Node).
+ */
+
+import { EDITION_TIME_ZONE, addDays, editionDateFor, editionToLocalDate } from './edition.js';
+import { hasFullText } from './content-status.js';
+import { applyOrder } from './clip-order.js';
+
+// ---------------------------------------------------------------------------
+// Text
+// ---------------------------------------------------------------------------
+
+function getOrdinalSuffix(n) {
+  if (n === 1 || n === 21 || n === 31) return 'st';
+  if (n === 2 || n === 22) return 'nd';
+  if (n === 3 || n === 23) return 'rd';
+  return 'th';
+}
+
+function formatCoverDate(date) {
+  const days   = ['SUNDAY','MONDAY','TUESDAY','WEDNESDAY','THURSDAY','FRIDAY','SATURDAY'];
+  const months = ['JANUARY','FEBRUARY','MARCH','APRIL','MAY','JUNE','JULY','AUGUST','SEPTEMBER','OCTOBER','NOVEMBER','DECEMBER'];
+  return {
+    dayLine:  days[date.getDay()] + ',',
+    monthDay: months[date.getMonth()] + ' ' + date.getDate(),
+    suffix:   getOrdinalSuffix(date.getDate()),
+  };
+}
+
+// Publish dates are ISO timestamps; show the Chicago calendar day.
+// Anything unparseable (older scrapes kept raw listing text) is left out.
+function formatHeaderDate(dateStr) {
+  const d = new Date(dateStr || NaN);
+  if (isNaN(d)) return '';
+  return d.toLocaleDateString('en-US', {
+    timeZone: EDITION_TIME_ZONE, weekday: 'long', month: 'long', day: 'numeric', year: 'numeric',
+  });
+}
+
+// "Fri, Oct 17, 6:10 PM" (Central) for the Other Coverage list
+function formatListingTime(dateStr) {
+  const d = new Date(dateStr || NaN);
+  if (isNaN(d)) return '';
+  return d.toLocaleString('en-US', {
+    timeZone: EDITION_TIME_ZONE, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+  });
+}
+
+// Structured body from the scraper: [{ type, text }]. Older articles.json
+// entries only have a `content` string, so fall back to splitting it on newlines.
+function getBodyBlocks(article) {
+  if (Array.isArray(article.body) && article.body.length) return article.body;
+  return (article.content || article.excerpt || '')
+    .split('\n')
+    .filter(p => p.trim())
+    .map(p => ({ type: 'paragraph', text: p.trim() }));
+}
+
+// Only web links go in the docx; anything else stays plain text
+function linkUrl(url) {
+  return /^https?:\/\//i.test(url || '') ? url : '';
+}
+
+// ---------------------------------------------------------------------------
+// Digest — several editions in one packet
+// ---------------------------------------------------------------------------
+
+// A weekend or a full week; more days than this won't fit the summary
+// table across the page
+export const MAX_DIGEST_DAYS = 8;
+
+/**
+ * The edition dates from `start` to `end` (YYYY-MM-DD), inclusive.
+ * Throws on a backwards or over-long range.
+ */
+export function digestDays({ start, end }) {
+  if (!start || !end || start > end) throw new Error('the digest must start on or before the day it ends');
+  const days = [start];
+  while (days[days.length - 1] < end) {
+    if (days.length === MAX_DIGEST_DAYS) throw new Error(`a digest covers at most ${MAX_DIGEST_DAYS} days`);
+    days.push(addDays(days[days.length - 1], 1));
+  }
+  return days;
+}
+
+// The edition an article belongs to, kept within the digest's days;
+// undated articles go on the last day
+function articleDay(article, dates) {
+  const published = new Date(article.publishedAt || NaN);
+  const day = article.edition || (isNaN(published) ? dates[dates.length - 1] : editionDateFor(published));
+  if (day < dates[0]) return dates[0];
+  return day > dates[dates.length - 1] ? dates[dates.length - 1] : day;
+}
+
+/**
+ * Clips per outlet per day, busiest outlet first.
+ *   { days: [{ date, label }], rows: [{ outlet, counts: [n per day], total }], totals: [n per day], total }
+ */
+function buildSummary(days, counted) {
+  const rows = new Map();
+  counted.forEach(({ day, source }) => {
+    if (!rows.has(source)) rows.set(source, { outlet: source, counts: days.map(() => 0), total: 0 });
+    const row = rows.get(source);
+    row.counts[days.findIndex(d => d.date === day)] += 1;
+    row.total += 1;
+  });
+  return {
+    days: days.map(({ date, shortLabel }) => ({ date, label: shortLabel })),
+    rows: [...rows.values()].sort((a, b) => b.total - a.total || a.outlet.localeCompare(b.outlet)),
+    totals: days.map(day => counted.filter(c => c.day === day.date).length),
+    total: counted.length,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Packet model
+// ---------------------------------------------------------------------------
+
+// Contents page layouts (a digest's contents are always grouped by day)
+export const CONTENTS_GROUPINGS = {
+  order: 'In packet order',
+  outlet: 'Grouped by outlet',
+};
+
+// Word bookmark on the appendix heading; clips are "clip_1", "clip_2", …
+export const APPENDIX_BOOKMARK = 'other_coverage';
+
+/**
+ * Contents entries in packet order, or grouped under each outlet in the
+ * order the outlets first appear, or under each day of a digest. The
+ * appendix, if any, comes last.
+ */
+function buildContents(clips, appendix, grouping, days) {
+  const entry = clip => ({ bookmark: clip.bookmark, title: clip.title, author: clip.author, source: clip.source });
+  let groups;
+  if (days) {
+    grouping = 'day';
+    groups = days
+      .filter(day => day.clips)
+      .map(day => ({ heading: day.label, entries: clips.filter(clip => clip.day === day.date).map(entry) }));
+  } else if (grouping === 'outlet') {
+    const byOutlet = new Map();
+    clips.forEach(clip => {
+      if (!byOutlet.has(clip.source)) byOutlet.set(clip.source, []);
+      byOutlet.get(clip.source).push({ ...entry(clip), source: '' });
+    });
+    groups = [...byOutlet].map(([heading, entries]) => ({ heading, entries }));
+  } else {
+    groups = [{ heading: null, entries: clips.map(entry) }];
+  }
+  if (appendix.length) {
+    groups.push({ heading: null, entries: [{ bookmark: APPENDIX_BOOKMARK, title: 'Other Coverage', author: '', source: '' }] });
+  }
+  return { grouping, groups };
+}
+
+/**
+ * The packet generateDocx() builds. Pages follow `order` (article ids) when
+ * given, else the order of `articles`; with `otherCoverage`, articles we
+ * only have a teaser for move to the appendix. `contents` picks the
+ * contents page layout (a CONTENTS_GROUPINGS key), or null for none.
+ *   { cover: { dayLine, monthDay, suffix },
+ *     contents: { grouping, groups: [{ heading, entries: [{ bookmark, title, author, source }] }] } or null,
+ *     clips: [{ id, bookmark, day, header, url, title, author, source, byline, pageLabel, body: [{ type, text }] }],
+ *     appendix: [{ id, title, credit, url }],
+ *     days, summary }
+ *
+ * `digest` ({ start, end }, edition dates) makes a multi-day digest: the
+ * cover reads "WEEK OF" the first day, clips are grouped by the edition
+ * they belong to, each day behind a divider with its own page count, and
+ * a summary page counts every day's clips by outlet. Then
+ *   days: [{ date, bookmark, label, shortLabel, cover, clips }]
+ *   summary: see buildSummary()
+ * and both are null for a single-day packet.
+ */
+export function buildPacket(articles, currentDate = new Date(), {
+  otherCoverage = false, order = null, contents = 'order', digest = null,
+} = {}) {
+  let ordered = applyOrder(articles, order);
+  let days = null;
+  const dayOf = new Map();
+  if (digest) {
+    const dates = digestDays(digest);
+    ordered.forEach(article => dayOf.set(article.id, articleDay(article, dates)));
+    // Day by day, keeping the chosen order within each
+    ordered = dates.flatMap(date => ordered.filter(article => dayOf.get(article.id) === date));
+    days = dates.map((date, i) => {
+      const local = editionToLocalDate(date);
+      return {
+        date,
+        bookmark: `day_${i + 1}`,
+        label: local.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' }),
+        shortLabel: local.toLocaleDateString('en-US', { weekday: 'short', month: 'numeric', day: 'numeric' }),
+        cover: formatCoverDate(local),
+        clips: 0,
+      };
+    });
+  }
+
+  const appendix = otherCoverage ? ordered.filter(article => !hasFullText(article)) : [];
+  const clips = otherCoverage ? ordered.filter(hasFullText) : ordered;
+  days?.forEach(day => { day.clips = clips.filter(article => dayOf.get(article.id) === day.date).length; });
+
+  const packetClips = clips.map((article, index) => {
+    const date = formatHeaderDate(article.publishedAt);
+    const day = dayOf.get(article.id) || null;
+    // Numbered within the day in a digest
+    const sameDay = day ? clips.filter(other => dayOf.get(other.id) === day) : clips;
+    return {
+      id: article.id,
+      bookmark: `clip_${index + 1}`,
+      day,
+      header: date ? `${article.source} – ${date}` : article.source, // en-dash
+      url: linkUrl(article.sourceUrl),
+      title: article.title,
+      author: article.author || '',
+      source: article.source,
+      byline: `By ${article.author || 'Staff'}, ${article.source}`,
+      pageLabel: `Page ${sameDay.indexOf(article) + 1} of ${sameDay.length}`,
+      body: getBodyBlocks(article),
+    };
+  });
+
+  const cover = formatCoverDate(digest ? editionToLocalDate(digest.start) : currentDate);
+  return {
+    cover: digest ? { ...cover, dayLine: 'WEEK OF' } : cover,
+    contents: CONTENTS_GROUPINGS[contents] && clips.length ? buildContents(packetClips, appendix, contents, days) : null,
+    clips: packetClips,
+    appendix: appendix.map(article => {
+      const time = formatListingTime(article.publishedAt);
+      return {
+        id: article.id,
+        title: article.title,
+        credit: `By ${article.author || 'Staff'}, ${article.source}${time ? ` – ${time}` : ''}`,
+        url: article.sourceUrl || '',
+      };
+    }),
+    days,
+    // Clip pages only, so the summary agrees with the dividers and contents
+    summary: days && buildSummary(days, clips.map(article => ({ day: dayOf.get(article.id), source: article.source }))),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Layout — everything is Courier New, so line breaks can be worked out by
+// counting characters (a Courier glyph is 0.6em wide)
+// ---------------------------------------------------------------------------
+
+const LINE_HEIGHT = 1.133; // Courier New ascent + descent, in ems
+const CHAR_WIDTH = 0.6;
+
+// Characters per line in the daily template: 7.5" text width, 3.5" columns
+export const TEXT_CHARS = 90;       // 10pt across the page
+export const TITLE_CHARS = 45;      // 20pt titles
+export const COLUMN_CHARS = 42;     // 10pt in a column
+
+const BLOCKQUOTE_INDENT = 3;                      // characters a side
+
+// Space before/after body blocks in points, as the generator spaces them:
+// a blank line above a subhead, half of one around a blockquote
+function blockSpacing({ bodyLine }) {
+  return {
+    paragraph: { before: 0, after: 0 },
+    subhead: { before: bodyLine, after: 0 },
+    blockquote: { before: bodyLine / 2, after: bodyLine / 2 },
+  };
+}
+
+// The daily template's layout, for when no template is given; heights in
+// points, and a page's text area is 10" tall
+const BODY_LINE = 10 * LINE_HEIGHT * 256 / 240;   // body "line: 256"
+const DEFAULT_LAYOUT = {
+  textChars: TEXT_CHARS,
+  titleChars: TITLE_CHARS,
+  bylineChars: TEXT_CHARS,
+  columnChars: COLUMN_CHARS,
+  blockquoteChars: COLUMN_CHARS - 2 * BLOCKQUOTE_INDENT,
+  charWidth: 10 * CHAR_WIDTH,
+  blockquoteIndent: 10 * CHAR_WIDTH * BLOCKQUOTE_INDENT,
+  columns: 2,
+  pageHeight: 720,
+  smallLine: 10 * LINE_HEIGHT,                    // byline, single spaced
+  titleLine: 20 * LINE_HEIGHT,
+  bodyLine: BODY_LINE,
+  headerLine: BODY_LINE + 8,                      // publication header, 8pt after
+};
+
+/**
+ * Characters per line and heights in points for a template from
+ * loadTemplate(): its page size, margins and body columns, and the size
+ * and line spacing of its header, title, byline and body styles. The
+ * daily template's numbers without one. The generator spaces and indents
+ * body text by the same `bodyLine`, `charWidth` and `blockquoteIndent`.
+ */
+export function packetLayout(template = null) {
+  if (!template) return DEFAULT_LAYOUT;
+  const { page, columns, styles } = template;
+  const points = twips => (twips || 0) / 20;
+  const size = style => (style.run.size || 20) / 2; // half-points
+  const line = style => size(style) * LINE_HEIGHT * (style.paragraph.spacing?.line ?? 240) / 240;
+  const chars = (width, style) => Math.floor(width / (size(style) * CHAR_WIDTH));
+
+  const textWidth = points(page.size.width - page.margin.left - page.margin.right);
+  const columnWidth = (textWidth - points(columns.space) * (columns.count - 1)) / columns.count;
+  const charWidth = size(styles.body) * CHAR_WIDTH;
+  return {
+    textChars: chars(textWidth, styles.body),
+    titleChars: chars(textWidth, styles.title),
+    bylineChars: chars(textWidth, styles.byline),
+    columnChars: chars(columnWidth, styles.body),
+    blockquoteChars: chars(columnWidth - 2 * BLOCKQUOTE_INDENT * charWidth, styles.body),
+    charWidth,
+    blockquoteIndent: BLOCKQUOTE_INDENT * charWidth,
+    columns: columns.count,
+    pageHeight: points(page.size.height - page.margin.top - page.margin.bottom),
+    smallLine: line(styles.byline),
+    titleLine: line(styles.title),
+    bodyLine: line(styles.body),
+    headerLine: line(styles.header) + points(styles.header.paragraph.spacing?.after),
+  };
+}
+
+/**
+ * Greedy word wrap to `width` characters. Words longer than a line are
+ * broken. Each line keeps its trailing space, so joining lines gives back
+ * the text.
+ */
+export function wrapText(text, width) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).match(/\S+\s*/g) || []) {
+    if (line && (line + word).trimEnd().length > width) {
+      lines.push(line);
+      line = '';
+    }
+    let rest = word;
+    while (rest.trimEnd().length > width) {
+      lines.push(rest.slice(0, width));
+      rest = rest.slice(width);
+    }
+    line += rest;
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function headerHeight(clip, layout) {
+  const titleLines = Math.max(1, wrapText(clip.title, layout.titleChars).length);
+  const bylineLines = `${clip.byline} ${clip.pageLabel}`.length > layout.bylineChars ? 2 : 1;
+  return layout.headerLine + titleLines * layout.titleLine + bylineLines * layout.smallLine;
+}
+
+function blockLines(block, layout) {
+  return wrapText(block.text, block.type === 'blockquote' ? layout.blockquoteChars : layout.columnChars);
+}
+
+// Lines of a block that must share a column with whatever comes before it
+function leadLines(block, layout) {
+  return Math.min(2, blockLines(block, layout).length);
+}
+
+/**
+ * A clip's body poured into the template's columns (two in the daily),
+ * filling the left column first as Word does for an unbalanced section. Paragraphs split between
+ * columns with Word's widow/orphan control (no single line left behind or
+ * carried over), and a subhead never ends a column.
+ */
+function paginateClip(clip, layout) {
+  const pages = [];
+  let columns;
+  let height; // this page's column height
+  let used;   // points used in the current column
+
+  const newPage = () => {
+    height = layout.pageHeight - (pages.length ? 0 : headerHeight(clip, layout));
+    columns = [[]];
+    used = 0;
+    pages.push({ kind: 'clip', clip, first: pages.length === 0, columns });
+  };
+  const nextColumn = () => {
+    if (columns.length === layout.columns) {
+      newPage();
+    } else {
+      columns.push([]);
+      used = 0;
+    }
+  };
+  newPage();
+
+  const spacing = blockSpacing(layout);
+  clip.body.forEach((block, i) => {
+    const type = spacing[block.type] ? block.type : 'paragraph';
+    const { before, after } = spacing[type];
+    let lines = blockLines({ ...block, type }, layout);
+    let continued = false;
+
+    while (lines.length) {
+      const column = columns[columns.length - 1];
+      const space = column.length ? before : 0;
+      const room = Math.floor((height - used - space) / layout.bodyLine);
+      let take = Math.min(room, lines.length);
+      if (take < lines.length && lines.length > 1) {
+        if (lines.length - take === 1) take -= 1;  // widow
+        if (take === 1) take = 0;                  // orphan
+      }
+      // Keep a subhead with the lines orphan control lets start the next block
+      if (type === 'subhead' && take === lines.length && i < clip.body.length - 1 && column.length &&
+          used + space + (take + leadLines(clip.body[i + 1], layout)) * layout.bodyLine > height) take = 0;
+
+      if (take === 0) {
+        if (!column.length) take = Math.min(lines.length, Math.max(room, 1)); // taller than a column
+        else {
+          nextColumn();
+          continue;
+        }
+      }
+      column.push({ type, text: lines.slice(0, take).join('').trim(), continued });
+      used += space + take * layout.bodyLine + (take === lines.length ? after : 0);
+      lines = lines.slice(take);
+      continued = true;
+      if (lines.length) nextColumn();
+    }
+  });
+
+  return pages;
+}
+
+// Contents lines: group headings, then "Outlet – Headline, Author ..... 5"
+// with room kept at the right for the page number
+const PAGE_NUMBER_CHARS = 6;
+
+function contentsEntryText(entry) {
+  return `${entry.source ? `${entry.source} – ` : ''}${entry.title}${entry.author ? `, ${entry.author}` : ''}`;
+}
+
+function paginateContents(contents, layout) {
+  if (!contents) return [];
+  const pages = [];
+  let page = null;
+  let used = 0;
+  // `keep` is the height of whatever must follow on the same page
+  const place = (line, height, keep = 0) => {
+    if (!page || used + height + keep > layout.pageHeight) {
+      page = { kind: 'contents', first: pages.length === 0, lines: [] };
+      pages.push(page);
+      used = page.first ? layout.titleLine + layout.bodyLine : 0;
+    }
+    page.lines.push(line);
+    used += height;
+  };
+  // Entries have half a blank line after them, group headings a blank line above
+  const entryHeight = entry =>
+    (wrapText(contentsEntryText(entry), layout.textChars - PAGE_NUMBER_CHARS).length + 0.5) * layout.bodyLine;
+
+  contents.groups.forEach(group => {
+    if (group.heading) place({ type: 'heading', text: group.heading }, 2 * layout.bodyLine, entryHeight(group.entries[0]));
+    group.entries.forEach(entry => place({ type: 'entry', entry }, entryHeight(entry)));
+  });
+  return pages;
+}
+
+function paginateAppendix(entries, layout) {
+  const pages = [];
+  let page = null;
+  let used = 0;
+
+  entries.forEach(entry => {
+    const lines = [entry.title, entry.credit, entry.url || ' ']
+      .reduce((count, text) => count + wrapText(text, layout.textChars).length, 0);
+    const height = (lines + 1) * layout.bodyLine; // and a blank line after
+    if (!page || used + height > layout.pageHeight) {
+      page = { kind: 'appendix', first: !page, entries: [] };
+      pages.push(page);
+      used = page.first ? layout.titleLine + layout.bodyLine : 0;
+    }
+    page.entries.push(entry);
+    used += height;
+  });
+
+  return pages;
+}
+
+/**
+ * The packet as pages laid out for `template` (from loadTemplate(); the
+ * daily template's layout without one), for the preview and the contents
+ * page numbers:
+ *   { kind: 'cover', cover }
+ *   { kind: 'contents', first, lines: [{ type: 'heading', text } | { type: 'entry', entry, page }] }
+ *   { kind: 'summary', summary }               a digest's clip counts
+ *   { kind: 'divider', day }                   before each digest day with clips
+ *   { kind: 'clip', clip, first, columns: [[{ type, text, continued }], …] }
+ *   { kind: 'appendix', first, entries }
+ * Breaks are estimated from character counts, so they land within a line
+ * or two of Word's.
+ */
+export function paginatePacket(packet, template = null) {
+  const layout = packetLayout(template);
+  const paginate = clip => paginateClip(clip, layout);
+  const contents = paginateContents(packet.contents, layout);
+  const clipPages = packet.days
+    ? packet.days.filter(day => day.clips).flatMap(day => [
+      { kind: 'divider', day },
+      ...packet.clips.filter(clip => clip.day === day.date).flatMap(paginate),
+    ])
+    : packet.clips.flatMap(paginate);
+  const pages = [
+    { kind: 'cover', cover: packet.cover },
+    ...contents,
+    ...(packet.summary ? [{ kind: 'summary', summary: packet.summary }] : []),
+    ...clipPages,
+    ...paginateAppendix(packet.appendix, layout),
+  ];
+
+  const starts = startPages(pages);
+  contents.forEach(page => {
+    page.lines = page.lines.map(line => (line.type === 'entry' ? { ...line, page: starts.get(line.entry.bookmark) } : line));
+  });
+  return pages;
+}
+
+/**
+ * Page number (from 1, counting the cover) where each clip, digest day and
+ * the appendix start, by bookmark.
+ */
+export function startPages(pages) {
+  const starts = new Map();
+  pages.forEach((page, i) => {
+    if (page.kind === 'clip' && page.first) starts.set(page.clip.bookmark, i + 1);
+    if (page.kind === 'divider') starts.set(page.day.bookmark, i + 1);
+    if (page.kind === 'appendix' && page.first) starts.set(APPENDIX_BOOKMARK, i + 1);
+  });
+  return starts;
+}
+
+// ---------------------------------------------------------------------------
+// Layout checks
+// ---------------------------------------------------------------------------
+
+/**
+ * Problems worth fixing before the packet goes out in `template`'s layout,
+ * as sentences.
+ */
+export function clipWarnings(clip, template = null) {
+  const layout = packetLayout(template);
+  const warnings = [];
+  const titleLines = wrapText(clip.title, layout.titleChars).length;
+  if (!clip.title?.trim()) warnings.push('No headline');
+  else if (titleLines > 2) warnings.push(`Headline runs to ${titleLines} lines`);
+
+  if (!clip.author.trim()) warnings.push('No byline, so it shows as "By Staff"');
+  else if (/^by\b/i.test(clip.author.trim())) warnings.push('Byline repeats "By"');
+  if (`${clip.byline} ${clip.pageLabel}`.length > layout.bylineChars) warnings.push('Byline wraps onto a second line');
+
+  if (!clip.body.some(block => block.text?.trim())) warnings.push('No body text');
+  return warnings;
+}
@@ -0,0 +1,238 @@
+/**
+ * Article search queries.
+ *
+ *   Bears                      whole word — "Bears" doesn't match "Bearsville"
+ *   Bear*                      word prefix
+ *   "Caleb Williams"           exact phrase
+ *   Caleb Williams             both words (AND is implied)
+ *   Caleb OR Williams          either
+ *   "Caleb Williams" NOT fantasy   (or -fantasy)
+ *   (Sweat OR Dexter) AND sack     grouping
+ *   author:Biggs  source:"Sun-Times"  title:injury
+ *
+ * Operators are upper case; lower-case "and"/"or"/"not" are ordinary words.
+ * parseQuery() builds a tree that matchQuery() tests articles against, and
+ * keywordInContext() finds the sentence to show under each result.
+ * Shared by the web app (browser) and the tests (Node).
+ */
+
+export const QUERY_FIELDS = ['author', 'source', 'title'];
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+// A ” with no “ before it pairs with the next ”, as " does with "
+const QUOTES = { '"': '"', '“': '”', '”': '”' };
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch });
+      i++;
+    } else if (ch === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1]) && (i === 0 || /[\s(]/.test(input[i - 1]))) {
+      tokens.push({ type: 'NOT' });
+      i++;
+    } else {
+      // A word, optionally field:value, where the value may be quoted
+      const field = input.slice(i).match(/^([a-z]+):(?=\S)/i);
+      let fieldName = null;
+      if (field && QUERY_FIELDS.includes(field[1].toLowerCase())) {
+        fieldName = field[1].toLowerCase();
+        i += field[0].length;
+      }
+
+      const close = QUOTES[input[i]];
+      if (close) {
+        const end = input.indexOf(close, i + 1);
+        if (end === -1) throw new Error('Unclosed quote in search');
+        tokens.push({ type: 'TERM', field: fieldName, text: input.slice(i + 1, end), phrase: true });
+        i = end + 1;
+      } else {
+        const word = input.slice(i).match(/^[^\s()"“”]*/)[0];
+        if (!word) throw new Error(`Nothing to search for after "${fieldName}:"`);
+        i += word.length;
+        if (!fieldName && (word === 'AND' || word === 'OR' || word === 'NOT')) {
+          tokens.push({ type: word });
+        } else {
+          tokens.push({ type: 'TERM', field: fieldName, text: word, phrase: false });
+        }
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a query into a tree of { type: 'and' | 'or', children },
+ * { type: 'not', child } and { type: 'term', field, text, prefix } nodes.
+ * Returns null for an empty query; throws on a malformed one.
+ */
+export function parseQuery(input) {
+  const tokens = tokenize(String(input || ''));
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') pos++;
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Search ends too early');
+    if (token.type === 'NOT') return { type: 'not', child: parseUnary() };
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (tokens[pos++]?.type !== ')') throw new Error('Missing ")" in search');
+      return inner;
+    }
+    if (token.type === 'TERM') {
+      const text = token.text.trim();
+      if (!text) throw new Error('Empty quotes in search');
+      const prefix = !token.phrase && text.length > 1 && text.endsWith('*');
+      return { type: 'term', field: token.field, text: prefix ? text.slice(0, -1) : text, prefix };
+    }
+    throw new Error(`Unexpected ${token.type} in search`);
+  }
+
+  if (!tokens.length) return null;
+  const tree = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected ${tokens[pos].type} in search`);
+  return tree;
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * A regular expression for a term: whole words, case-insensitive, any run
+ * of whitespace between a phrase's words, and curly and straight
+ * apostrophes alike.
+ */
+export function termPattern(term, flags = 'iu') {
+  const body = term.text
+    .split(/\s+/)
+    .map(word => escapeRegExp(word).replace(/['’]/g, "['’]"))
+    .join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}${term.prefix ? '[\\p{L}\\p{N}]*' : '(?![\\p{L}\\p{N}])'}`, flags);
+}
+
+function fieldText(article, field) {
+  switch (field) {
+    case 'author':
+      return [article.author, ...(article.authors || [])].filter(Boolean).join(' ');
+    case 'source':
+      return article.source || '';
+    case 'title':
+      return article.title || '';
+    default:
+      return `${article.title || ''}\n${article.excerpt || ''}\n${article.content || ''}`;
+  }
+}
+
+/**
+ * Whether an article satisfies a parsed query. A null query matches everything.
+ */
+export function matchQuery(tree, article) {
+  if (!tree) return true;
+  switch (tree.type) {
+    case 'and':
+      return tree.children.every(child => matchQuery(child, article));
+    case 'or':
+      return tree.children.some(child => matchQuery(child, article));
+    case 'not':
+      return !matchQuery(tree.child, article);
+    default:
+      return termPattern(tree).test(fieldText(article, tree.field));
+  }
+}
+
+/**
+ * The terms a result is shown for: full-text terms that aren't negated.
+ */
+export function highlightTerms(tree, negated = false) {
+  if (!tree) return [];
+  if (tree.type === 'not') return highlightTerms(tree.child, !negated);
+  if (tree.type === 'term') return !negated && !tree.field ? [tree] : [];
+  return tree.children.flatMap(child => highlightTerms(child, negated));
+}
+
+// ---------------------------------------------------------------------------
+// Keyword in context
+// ---------------------------------------------------------------------------
+
+const MAX_SNIPPET_LENGTH = 300;
+
+function splitSentences(text) {
+  return text
+    .split(/\n+|(?<=[.!?]["”’)]?)\s+(?=["“‘(]?[\p{Lu}\d])/u)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// The window of about MAX_SNIPPET_LENGTH characters to show around position `at`
+function snippetWindow(text, at) {
+  if (text.length <= MAX_SNIPPET_LENGTH) return [0, text.length];
+  const start = Math.max(0, Math.min(at - 80, text.length - MAX_SNIPPET_LENGTH));
+  return [start, Math.min(text.length, start + MAX_SNIPPET_LENGTH)];
+}
+
+/**
+ * The first sentence of the article (body, then excerpt, then title) where
+ * one of the query's terms appears, as segments [{ text, match }] with the
+ * terms marked. Null when no term appears — e.g. a query on author: only.
+ */
+export function keywordInContext(article, tree) {
+  const patterns = highlightTerms(tree).map(term => termPattern(term, 'giu'));
+  if (!patterns.length) return null;
+
+  const sentences = [article.content, article.excerpt, article.title].flatMap(text => splitSentences(text || ''));
+  for (const sentence of sentences) {
+    const ranges = patterns
+      .flatMap(pattern => [...sentence.matchAll(pattern)].map(match => [match.index, match.index + match[0].length]))
+      .sort((a, b) => a[0] - b[0]);
+    if (!ranges.length) continue;
+
+    const [start, end] = snippetWindow(sentence, ranges[0][0]);
+    const segments = [];
+    const plain = text => text && segments.push({ text, match: false });
+    if (start > 0) plain('…');
+    let cursor = start;
+    for (const [from, to] of ranges) {
+      const matchStart = Math.max(from, cursor);
+      const matchEnd = Math.min(to, end);
+      if (matchEnd <= matchStart) continue;
+      plain(sentence.slice(cursor, matchStart));
+      segments.push({ text: sentence.slice(matchStart, matchEnd), match: true });
+      cursor = matchEnd;
+    }
+    plain(sentence.slice(cursor, end));
+    if (end < sentence.length) plain('…');
+    return segments;
+  }
+  return null;
+}
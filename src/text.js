@@ -0,0 +1,46 @@
+/**
+ * Plain-text helpers shared by the scraper (Node) and the web app
+ * (browser): HTML entity decoding and whitespace cleanup.
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•',
+  middot: '·', copy: '©', reg: '®', trade: '™',
+};
+
+/**
+ * Decode HTML entities (named and numeric), once: "&amp;lt;" is the source
+ * escaping a literal "&lt;", so it comes out as "&lt;", not "<".
+ */
+export function decodeEntities(str) {
+  return (str || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1] === 'x' || code[1] === 'X'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : match;
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Collapse all whitespace to single spaces, without decoding. Use for text
+ * an HTML/XML parser has already decoded (cheerio's .text(), attribute
+ * values), where decoding again would turn "&amp;lt;" back into "<".
+ */
+export function collapseWhitespace(str) {
+  return (str || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Decode entities and collapse all whitespace to single spaces.
+ * Use for raw one-line fields (JSON titles, authors) — not article bodies,
+ * and not text a parser has already decoded (see collapseWhitespace()).
+ */
+export function cleanText(str) {
+  return collapseWhitespace(decodeEntities(str));
+}
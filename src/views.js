@@ -0,0 +1,367 @@
+/**
+ * Views for the web app's search, results and status areas. Each function
+ * takes plain data plus event callbacks and returns DOM nodes built with
+ * h(), so scraped and user-entered text is only ever rendered as text.
+ * app.js owns the state and puts these nodes on the page.
+ * Shared by the web app (browser) and the tests (Node).
+ */
+
+import { h, safeUrl } from './dom.js';
+import { getContentStatus, CONTENT_STATUS_LABELS } from './content-status.js';
+
+// ---------------------------------------------------------------------------
+// Search area
+// ---------------------------------------------------------------------------
+
+/**
+ * Keyword chips, each with a remove button.
+ */
+export function keywordTags(keywords, { onRemove }) {
+  return keywords.map(keyword =>
+    h('div', { class: 'keyword-tag' },
+      keyword,
+      h('button', { class: 'keyword-remove', title: 'Remove keyword', onClick: () => onRemove(keyword) }, '×'),
+    ));
+}
+
+/**
+ * <option>s for a <select>, from [{ value, label }].
+ */
+export function options(items) {
+  return items.map(({ value, label }) => h('option', { value }, label));
+}
+
+// ---------------------------------------------------------------------------
+// Status area
+// ---------------------------------------------------------------------------
+
+/**
+ * The scrape-health banner: a heading, one line per source problem and
+ * when the scrape ran.
+ */
+export function scrapeWarnings(problems, generatedAt) {
+  return [
+    h('strong', {}, 'Some sources may need attention — their selectors or feeds could have changed:'),
+    h('ul', {}, problems.map(text => h('li', {}, text))),
+    h('small', {}, `Scrape run: ${new Date(generatedAt).toLocaleString()}`),
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Results
+// ---------------------------------------------------------------------------
+
+/**
+ * Badges for an article: added by hand (with a remove button), hand
+ * edited, or anything short of full text.
+ */
+function badges(article, { onRemoveManual }) {
+  const status = getContentStatus(article);
+  return [
+    article.manual && h('span', { class: 'content-badge content-badge-manual' }, 'Added by hand'),
+    article.manual && h('button', { class: 'manual-remove', onClick: () => onRemoveManual(article.id) }, 'Remove'),
+    !article.manual && status !== 'full' &&
+      h('span', { class: `content-badge content-badge-${status}` }, CONTENT_STATUS_LABELS[status]),
+    article.edited && h('span', { class: 'content-badge content-badge-edited' }, 'Edited'),
+  ];
+}
+
+/**
+ * Keyword-in-context segments with the terms in <mark>; the excerpt when
+ * there are none.
+ */
+export function snippet(segments, excerpt) {
+  if (!segments) return excerpt || '';
+  return segments.map(segment => (segment.match ? h('mark', {}, segment.text) : segment.text));
+}
+
+/**
+ * "Also ran in …" links to other outlets that carried the same story.
+ */
+function alsoRan(alternates) {
+  if (alternates.length === 0) return null;
+  const links = alternates.flatMap((alt, i) => [
+    i > 0 ? ', ' : null,
+    safeUrl(alt.sourceUrl)
+      ? h('a', { href: alt.sourceUrl, target: '_blank', rel: 'noopener' }, alt.source)
+      : alt.source,
+  ]);
+  return h('div', { class: 'article-also-ran' }, 'Also ran in ', links);
+}
+
+/**
+ * The edit panel: title, author, outlet, publish time and one box per body
+ * paragraph. Typing calls onField/onParagraph; nothing is saved until onSave.
+ */
+export function editPanel(draft, { canRevert, onField, onParagraph, onDeleteParagraph, onSave, onCancel, onRevert }) {
+  const field = (label, name, type = 'text') =>
+    h('label', {},
+      label,
+      ' ',
+      h('input', { type, class: 'edit-field', value: draft[name], onInput: e => onField(name, e.target.value) }),
+    );
+
+  const paragraphs = draft.body.map((block, i) =>
+    h('div', { class: 'edit-paragraph' },
+      h('textarea', { class: 'edit-body', rows: 3, value: block.text, onInput: e => onParagraph(i, e.target.value) }),
+      h('button', { class: 'edit-delete-paragraph', title: 'Delete paragraph', onClick: () => onDeleteParagraph(i) }, '×'),
+    ));
+
+  return h('div', { class: 'edit-panel' },
+    field('Title', 'title'),
+    h('div', { class: 'edit-row' },
+      field('Author', 'author'),
+      field('Outlet', 'source'),
+      field('Published (Central)', 'publishedAt', 'datetime-local'),
+    ),
+    h('div', { class: 'edit-paragraphs' },
+      paragraphs.length ? paragraphs : h('p', { class: 'edit-empty' }, 'No paragraphs left.'),
+    ),
+    h('div', { class: 'edit-actions' },
+      h('button', { class: 'btn btn-primary edit-save', onClick: onSave }, 'Save'),
+      h('button', { class: 'btn btn-secondary edit-cancel', onClick: onCancel }, 'Cancel'),
+      canRevert && h('button', { class: 'btn btn-secondary edit-revert', onClick: onRevert }, 'Revert to Original'),
+    ),
+  );
+}
+
+/**
+ * One result in the selection list.
+ *   state — { selected, snippet (segments or null), alternates, editPanel (node or null) }
+ *   on    — { onToggle(id, checked), onEdit(id), onRemoveManual(id) }
+ */
+export function articleItem(article, state, on) {
+  return h('div', { class: 'article-item' },
+    h('input', {
+      type: 'checkbox',
+      class: 'article-checkbox',
+      checked: state.selected,
+      onChange: e => on.onToggle(article.id, e.target.checked),
+    }),
+    h('div', { class: 'article-content' },
+      h('div', { class: 'article-title' }, article.title),
+      h('div', { class: 'article-meta' },
+        h('span', { class: 'article-author' }, `By ${article.author || 'Staff'}`),
+        h('span', { class: 'article-source' }, article.source),
+        badges(article, on),
+        !state.editPanel && h('button', { class: 'article-edit', onClick: () => on.onEdit(article.id) }, 'Edit'),
+      ),
+      state.editPanel || h('div', { class: 'article-excerpt' }, snippet(state.snippet, article.excerpt)),
+      alsoRan(state.alternates || []),
+    ),
+  );
+}
+
+/**
+ * Shown in place of the list when nothing matches.
+ */
+export function noResults() {
+  return h('p', { style: { textAlign: 'center', color: '#999' } }, 'No articles found matching your keywords and filters.');
+}
+
+/**
+ * The facet sidebar: how many results show, then a checkbox and live count
+ * for each facet value (see src/facets.js).
+ */
+export function facetPanel(facets, { shown, total, anyTicked, onToggle, onClear }) {
+  return [
+    h('div', { class: 'facet-header' },
+      h('strong', {}, `Showing ${shown} of ${total}`),
+      anyTicked && h('button', { class: 'facet-clear', onClick: onClear }, 'Clear filters'),
+    ),
+    ...facets
+      .filter(facet => facet.values.length)
+      .map(facet =>
+        h('fieldset', { class: 'facet' },
+          h('legend', {}, facet.label),
+          facet.values.map(({ value, count, selected }) =>
+            h('label', { class: ['facet-value', count === 0 && 'facet-value-empty'] },
+              h('input', { type: 'checkbox', checked: selected, onChange: e => onToggle(facet.id, value, e.target.checked) }),
+              h('span', { class: 'facet-value-label', title: value }, value),
+              h('span', { class: 'facet-count' }, count),
+            )),
+        )),
+  ];
+}
+
+/**
+ * The packet order list: numbered, draggable, with move buttons.
+ *   on — { onMove(from, to, { focus }), onDragStart(index), onDrop(index) }
+ */
+export function packetOrderItems(articles, on) {
+  return articles.map((article, i) => {
+    const item = h('li', {
+      class: 'packet-order-item',
+      draggable: 'true',
+      tabindex: 0,
+      dataset: { index: i },
+      onDragstart: e => {
+        e.dataTransfer.effectAllowed = 'move';
+        item.classList.add('dragging');
+        on.onDragStart(i);
+      },
+      onDragend: () => item.classList.remove('dragging'),
+      onDragover: e => e.preventDefault(),
+      onDrop: e => {
+        e.preventDefault();
+        on.onDrop(i);
+      },
+      onKeydown: e => {
+        if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+        e.preventDefault();
+        on.onMove(i, e.key === 'ArrowUp' ? i - 1 : i + 1, { focus: true });
+      },
+    },
+      h('span', { class: 'packet-order-number' }, `${i + 1}.`),
+      h('span', { class: 'packet-order-title' }, article.title),
+      h('span', { class: 'packet-order-source' }, article.source),
+      h('button', { class: 'packet-move', title: 'Move up', disabled: i === 0, onClick: () => on.onMove(i, i - 1) }, '↑'),
+      h('button', { class: 'packet-move', title: 'Move down', disabled: i === articles.length - 1, onClick: () => on.onMove(i, i + 1) }, '↓'),
+    );
+    return item;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Packet preview
+// ---------------------------------------------------------------------------
+
+function coverPage({ dayLine, monthDay, suffix }, { logoUrl, coverText }) {
+  return h('div', { class: 'preview-cover' },
+    coverText.map(text => h('p', {}, text)),
+    h('p', { class: ['preview-cover-date', 'preview-cover-day'] }, dayLine),
+    h('p', { class: 'preview-cover-date' }, monthDay, h('sup', {}, suffix)),
+    h('img', { class: 'preview-logo', src: logoUrl, alt: '' }),
+  );
+}
+
+function clipHeader(clip) {
+  return h('div', { class: 'preview-clip-header' },
+    h('p', { class: 'preview-pub-header' }, clip.header),
+    h('p', { class: 'preview-title' }, clip.title),
+    h('p', { class: 'preview-byline' },
+      h('span', {}, clip.byline),
+      h('span', { class: 'preview-page-label' }, clip.pageLabel),
+    ),
+  );
+}
+
+function contentsLines(page) {
+  return [
+    page.first && h('p', { class: 'preview-title' }, 'CONTENTS'),
+    page.lines.map(line => {
+      if (line.type === 'heading') return h('p', { class: 'preview-contents-heading' }, line.text);
+      const { source, title, author } = line.entry;
+      return h('p', { class: 'preview-contents-entry' },
+        h('span', { class: 'preview-contents-text' },
+          source && h('em', {}, `${source} – `),
+          h('strong', {}, title),
+          author && `, ${author}`,
+        ),
+        h('span', { class: 'preview-contents-leader' }),
+        h('span', {}, line.page),
+      );
+    }),
+  ];
+}
+
+function appendixEntries(page) {
+  return [
+    page.first && h('p', { class: 'preview-title' }, 'OTHER COVERAGE'),
+    page.entries.map(entry =>
+      h('div', { class: 'preview-appendix-entry' },
+        h('p', { class: 'preview-appendix-title' }, entry.title),
+        h('p', { class: 'preview-appendix-credit' }, entry.credit),
+        h('p', {}, entry.url),
+      )),
+  ];
+}
+
+// A digest's clip counts: outlets down the side, days across
+function summaryTable({ days, rows, totals, total }) {
+  return [
+    h('p', { class: 'preview-title' }, 'CLIPS BY DAY'),
+    h('table', { class: 'preview-summary' },
+      h('thead', {}, h('tr', {},
+        h('th', {}, 'Outlet'),
+        days.map(day => h('th', {}, day.label)),
+        h('th', {}, 'Total'),
+      )),
+      h('tbody', {}, rows.map(row => h('tr', {},
+        h('td', {}, row.outlet),
+        row.counts.map(count => h('td', {}, count ? String(count) : '–')),
+        h('th', {}, String(row.total)),
+      ))),
+      h('tfoot', {}, h('tr', {},
+        h('th', {}, 'Total'),
+        totals.map(count => h('th', {}, String(count))),
+        h('th', {}, String(total)),
+      )),
+    ),
+  ];
+}
+
+function dividerPage({ cover, clips }) {
+  return h('div', { class: 'preview-divider' },
+    h('p', { class: ['preview-cover-date', 'preview-cover-day'] }, cover.dayLine),
+    h('p', { class: 'preview-cover-date' }, cover.monthDay, h('sup', {}, cover.suffix)),
+    h('p', { class: 'preview-divider-count' }, `${clips} clip${clips === 1 ? '' : 's'}`),
+  );
+}
+
+/**
+ * The packet as letter-size pages, from paginatePacket() in src/packet.js.
+ * Pages of clips with layout warnings are flagged. `coverText` is the
+ * template's cover lines above the date.
+ */
+export function packetPreview(pages, { logoUrl, coverText = ['CHICAGO BEARS', 'MEDIA CLIPS'], flagged = new Set() }) {
+  return pages.map((page, i) => {
+    let content;
+    if (page.kind === 'cover') {
+      content = coverPage(page.cover, { logoUrl, coverText });
+    } else if (page.kind === 'contents') {
+      content = contentsLines(page);
+    } else if (page.kind === 'summary') {
+      content = summaryTable(page.summary);
+    } else if (page.kind === 'divider') {
+      content = dividerPage(page.day);
+    } else if (page.kind === 'clip') {
+      content = [
+        page.first && clipHeader(page.clip),
+        h('div', { class: 'preview-columns' },
+          page.columns.map(column =>
+            h('div', { class: 'preview-column' },
+              column.map(block => h('p', { class: `preview-${block.type}` }, block.text)),
+            )),
+        ),
+      ];
+    } else {
+      content = appendixEntries(page);
+    }
+
+    return h('div', {
+      class: ['preview-page', page.kind === 'clip' && flagged.has(page.clip.id) && 'preview-page-flagged'],
+      dataset: { clipId: page.clip?.id },
+    },
+      content,
+      h('span', { class: 'preview-page-number' }, `${i + 1} / ${pages.length}`),
+    );
+  });
+}
+
+/**
+ * Layout problems found in the packet, one line per clip, each linking to
+ * that clip's first page.
+ *   problems — [{ clip, warnings }]
+ */
+export function previewWarnings(problems, { onShow }) {
+  if (problems.length === 0) return [h('p', { class: 'preview-ok' }, 'No layout problems found.')];
+  return [
+    h('strong', {}, `${problems.length} clip${problems.length === 1 ? '' : 's'} to check before sending:`),
+    h('ul', {}, problems.map(({ clip, warnings }) =>
+      h('li', {},
+        h('button', { class: 'preview-warning-link', onClick: () => onShow(clip.id) }, clip.title || clip.pageLabel),
+        ` — ${warnings.join('; ')}`,
+      ))),
+  ];
+}
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyOverride, setOverride, removeOverride, loadOverrides, saveOverrides, OVERRIDES_STORAGE_KEY,
+} from '../src/article-overrides.js';
+
+const NOW = new Date('2026-10-18T16:00:00Z'); // the Oct 18 packet is due
+
+const article = {
+  id: 'abc123',
+  title: 'Bears notebook: Johnson on the…',
+  author: 'Staff',
+  authors: [],
+  source: 'CBS Chicago',
+  publishedAt: '2026-10-17T20:00:00.000Z',
+  body: [
+    { type: 'paragraph', text: 'The story.' },
+    { type: 'paragraph', text: 'Sign up for our newsletter!' },
+  ],
+  content: 'The story.\n\nSign up for our newsletter!',
+  edition: '2026-10-18',
+};
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+}
+
+test('keeps only the fields that were changed', () => {
+  const overrides = setOverride({}, article, {
+    title: 'Bears notebook: Johnson on the run game',
+    author: 'Staff',
+    source: 'CBS WBBM',
+    body: article.body.slice(0, 1),
+  });
+  assert.deepEqual(overrides, {
+    abc123: {
+      edition: '2026-10-18',
+      title: 'Bears notebook: Johnson on the run game',
+      source: 'CBS WBBM',
+      body: [{ type: 'paragraph', text: 'The story.' }],
+    },
+  });
+
+  // Editing everything back is the same as reverting
+  assert.deepEqual(setOverride(overrides, article, { title: article.title, source: article.source, body: article.body }), {});
+  assert.deepEqual(removeOverride(overrides, 'abc123'), {});
+});
+
+test('applies overrides on top of the article, leaving it untouched', () => {
+  const overrides = setOverride({}, article, { author: 'Kevin Fishbain', body: article.body.slice(0, 1) });
+  const edited = applyOverride(article, overrides.abc123);
+
+  assert.equal(edited.author, 'Kevin Fishbain');
+  assert.deepEqual(edited.authors, ['Kevin Fishbain']);
+  assert.equal(edited.content, 'The story.');
+  assert.equal(edited.title, article.title);
+  assert.equal(edited.edited, true);
+  assert.equal(article.author, 'Staff');
+  assert.equal(applyOverride(article, undefined), article);
+});
+
+test('overrides survive a reload until they are KEEP_DAYS old', () => {
+  const storage = memoryStorage();
+  saveOverrides(storage, {
+    old: { edition: '2026-08-18', title: 'Old' },
+    yesterday: { edition: '2026-10-17', title: 'Still editable' },
+    abc123: { edition: '2026-10-18', title: 'Kept' },
+  });
+  assert.deepEqual(Object.keys(loadOverrides(storage, NOW)), ['yesterday', 'abc123']);
+  assert.deepEqual(Object.keys(JSON.parse(storage.getItem(OVERRIDES_STORAGE_KEY))), ['yesterday', 'abc123']);
+
+  // Another edition closing doesn't drop them; two months later they are gone
+  assert.deepEqual(Object.keys(loadOverrides(storage, new Date('2026-10-19T11:00:00Z'))), ['yesterday', 'abc123']);
+  assert.deepEqual(loadOverrides(storage, new Date('2026-12-18T16:00:00Z')), {});
+  assert.equal(storage.getItem(OVERRIDES_STORAGE_KEY), null);
+});
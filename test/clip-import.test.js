@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { parseClips, parseByline, unwrapBody } from '../src/clip-import.js';
+
+const example = name => readFileSync(new URL(`../example/${name}`, import.meta.url), 'utf-8');
+
+test('reads headline, byline and outlet from the example clips', () => {
+  const { clips, errors } = parseClips(example('article1.txt'));
+  assert.deepEqual(errors, []);
+  assert.equal(clips.length, 1);
+  assert.equal(clips[0].title, 'Bears 2025 position review: Defensive line');
+  assert.equal(clips[0].author, 'Gabby Hajduk');
+  assert.equal(clips[0].source, 'chicagobears.com');
+
+  const [swift] = parseClips(example('article2.txt')).clips;
+  assert.equal(swift.title, "Bears RB D'Andre Swift hopes he convinced team to keep him heading into last year of contract");
+  assert.equal(swift.source, 'Chicago Sun-Times');
+});
+
+test('rejoins wrapped lines into paragraphs and decodes entities', () => {
+  const [clip] = parseClips(example('article1.txt')).clips;
+  assert.equal(clip.body.length, 16);
+  assert.equal(clip.body[0].text,
+    'While the Bears defensive line dealt with myriad injuries throughout the season, several players stepped up, particularly late in the year.');
+  assert.match(clip.body[1].text, /13 tackles-for-loss and three forced fumbles/);
+  assert.match(clip.body[3].text, /^"He's a guy that we count on," Johnson said/);
+  assert.ok(clip.body.every(block => !/&#?\w+;/.test(block.text)));
+});
+
+test('short Title Case lines between paragraphs become subheads', () => {
+  const [clip] = parseClips(example('article3.txt')).clips;
+  assert.deepEqual(
+    clip.body.filter(block => block.type === 'subhead').slice(0, 3).map(block => block.text),
+    ['Kevin Byard', 'Nahshon Wright', 'Jaquan Brisker'],
+  );
+});
+
+test('one file can hold several clips; unreadable ones are reported', () => {
+  const text = [
+    'First story', 'BY A WRITER, Outlet One', '', 'Some text.',
+    '---',
+    'No byline here', '', 'Text.',
+    '---',
+    'Second story', 'By Another Writer, Outlet Two', 'More text.',
+  ].join('\n');
+  const { clips, errors } = parseClips(text);
+  assert.deepEqual(clips.map(clip => [clip.title, clip.author, clip.source]), [
+    ['First story', 'A Writer', 'Outlet One'],
+    ['Second story', 'Another Writer', 'Outlet Two'],
+  ]);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /Clip 2/);
+});
+
+test('bylines and unwrapped text', () => {
+  assert.deepEqual(parseByline('BY BRAD BIGGS AND COLLEEN KANE, CHICAGO TRIBUNE'),
+    { author: 'Brad Biggs and Colleen Kane', source: 'Chicago Tribune' });
+  assert.equal(parseByline('Bears notebook'), null);
+
+  // Typed or pasted from the web: one line per paragraph
+  const long = 'A paragraph long enough that nobody would hard-wrap a printed column anywhere near this wide.';
+  assert.equal(unwrapBody(`${long} Then one more sentence.\n${long}`).length, 2);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sortArticles, arrangeSelection, moveItem, applyOrder } from '../src/clip-order.js';
+
+const article = (id, source, publishedAt, title = id) => ({ id, source, publishedAt, title });
+
+const articles = [
+  article('espn', 'ESPN', '2026-10-17T22:00:00Z'),
+  article('trib-early', 'Chicago Tribune', '2026-10-17T12:00:00Z', 'Caleb Williams throws for 300'),
+  article('wgn', 'WGN News', '2026-10-17T23:00:00Z', 'Injury report'),
+  article('team', 'Chicago Bears Official', '2026-10-17T15:00:00Z', 'Injury report: Montez Sweat'),
+  article('trib-late', 'Chicago Tribune', '2026-10-17T20:00:00Z'),
+  article('suntimes', 'chicago sun-times', '2026-10-17T18:00:00Z', 'Caleb Williams on the offense'),
+];
+
+const ids = list => list.map(a => a.id);
+
+test('outlet priority puts the team site, then the papers, then national outlets first', () => {
+  assert.deepEqual(ids(sortArticles(articles, 'outlet')),
+    ['team', 'trib-late', 'trib-early', 'suntimes', 'espn', 'wgn']);
+  assert.deepEqual(ids(sortArticles(articles, 'outlet', { outletPriority: ['WGN News'] })).slice(0, 2),
+    ['wgn', 'espn']);
+});
+
+test('chronological and topic presets', () => {
+  assert.deepEqual(ids(sortArticles(articles, 'chronological')),
+    ['trib-early', 'team', 'suntimes', 'trib-late', 'espn', 'wgn']);
+  assert.deepEqual(ids(sortArticles(articles, 'topic', { keywords: ['Injury', 'Caleb Williams'] })),
+    ['team', 'wgn', 'trib-early', 'suntimes', 'trib-late', 'espn']);
+});
+
+test('new selections slot in by preset without undoing hand-made moves', () => {
+  // Hand order puts ESPN ahead of the Tribune
+  const order = ['espn', 'trib-late'];
+  const selected = articles.filter(a => ['espn', 'trib-late', 'team', 'wgn'].includes(a.id));
+  assert.deepEqual(arrangeSelection(order, selected, 'outlet'), ['team', 'espn', 'trib-late', 'wgn']);
+
+  // Deselected ids drop out
+  assert.deepEqual(arrangeSelection(['wgn', 'espn'], [articles[0]], 'outlet'), ['espn']);
+});
+
+test('moving and applying an order', () => {
+  assert.deepEqual(moveItem(['a', 'b', 'c'], 0, 2), ['b', 'c', 'a']);
+  assert.deepEqual(moveItem(['a', 'b', 'c'], 2, 0), ['c', 'a', 'b']);
+  assert.deepEqual(ids(applyOrder(articles, ['wgn', 'team'])),
+    ['wgn', 'team', 'espn', 'trib-early', 'trib-late', 'suntimes']);
+  assert.equal(applyOrder(articles, null), articles);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate } from '../scripts/lib/dates.js';
+
+const NOW = Date.parse('2026-10-18T11:30:00Z'); // 6:30 AM CDT
+
+function iso(raw) {
+  const parsed = parseDate(raw, NOW);
+  return parsed && [parsed.date.toISOString(), parsed.precision];
+}
+
+test('exact timestamps keep their zone; zone-less times are Central', () => {
+  assert.deepEqual(iso('Sat, 18 Oct 2026 02:15:00 GMT'), ['2026-10-18T02:15:00.000Z', 'time']);
+  assert.deepEqual(iso('2026-10-17T20:30:00Z'), ['2026-10-17T20:30:00.000Z', 'time']);
+  assert.deepEqual(iso('2026-10-17T15:30:00'), ['2026-10-17T20:30:00.000Z', 'time']);
+  assert.deepEqual(iso('October 17, 2026 at 6:10 PM'), ['2026-10-17T23:10:00.000Z', 'time']);
+  assert.deepEqual(iso('Oct. 17, 2026, 6:10 p.m. ET'), ['2026-10-17T22:10:00.000Z', 'time']);
+  assert.deepEqual(iso('1792285200000'), ['2026-10-18T01:00:00.000Z', 'time']);
+});
+
+test('zone-less times the platform parses are Central, whatever the server zone', () => {
+  const zone = process.env.TZ;
+  process.env.TZ = 'Asia/Tokyo';
+  try {
+    assert.deepEqual(iso('Sun, 18 Oct 2026 05:30:00'), ['2026-10-18T10:30:00.000Z', 'time']);
+    assert.deepEqual(iso('18 October 2026 05:30'), ['2026-10-18T10:30:00.000Z', 'time']);
+    assert.deepEqual(iso('Sun, 18 Oct 2026 05:30:00 EDT'), ['2026-10-18T09:30:00.000Z', 'time']);
+  } finally {
+    if (zone === undefined) delete process.env.TZ;
+    else process.env.TZ = zone;
+  }
+});
+
+test('relative dates count back from now', () => {
+  assert.deepEqual(iso('2 hours ago'), ['2026-10-18T09:30:00.000Z', 'time']);
+  assert.deepEqual(iso('Updated 5 mins ago'), ['2026-10-18T11:25:00.000Z', 'time']);
+  assert.deepEqual(iso('3 days ago'), ['2026-10-15T17:00:00.000Z', 'day']);
+  assert.deepEqual(iso('yesterday'), ['2026-10-17T17:00:00.000Z', 'day']);
+});
+
+test('partial dates are day-only, pinned to noon Central, never in the future', () => {
+  assert.deepEqual(iso('Updated Oct 17'), ['2026-10-17T17:00:00.000Z', 'day']);
+  assert.deepEqual(iso('10/17/2026'), ['2026-10-17T17:00:00.000Z', 'day']);
+  assert.deepEqual(iso('Dec 30'), ['2025-12-30T18:00:00.000Z', 'day']);
+});
+
+test('unparseable dates are null', () => {
+  assert.equal(parseDate('', NOW), null);
+  assert.equal(parseDate('Breaking', NOW), null);
+  assert.equal(parseDate('6:10 PM', NOW), null);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clusterArticles, markDuplicates } from '../scripts/lib/dedup.js';
+
+const WIRE_STORY = [
+  'CHICAGO (AP) — Caleb Williams threw three touchdown passes and the Chicago Bears held on to beat the Green Bay Packers 27-20 on Friday night.',
+  'Williams completed 24 of 33 passes for 281 yards as Chicago won its fourth straight in the rivalry for the first time since 1991.',
+  'Kevin Byard intercepted Jordan Love at the Chicago 12 with 1:48 remaining to seal it, and the Bears improved to 5-1 for the first time in a decade.',
+  'Love threw for 302 yards and two scores for Green Bay, which had won three in a row.',
+].join('\n\n');
+
+function article(id, source, title, content, publishedAt = '2026-10-18T02:00:00Z') {
+  return { id, source, title, content, publishedAt };
+}
+
+test('groups syndicated copies and picks the fullest text as canonical', () => {
+  const articles = [
+    article('ap', 'AP News', 'Williams throws 3 TDs as Bears beat Packers 27-20', WIRE_STORY, '2026-10-18T01:00:00Z'),
+    article('st', 'Chicago Sun-Times', 'Williams throws 3 TDs as Bears beat Packers', WIRE_STORY + '\n\nSun-Times staff contributed.'),
+    article('fox', 'Fox 32 Chicago', 'Bears hold off Packers behind Williams', WIRE_STORY.split('\n\n').slice(0, 3).join('\n\n')),
+    article('espn', 'ESPN', 'Rome Odunze breakout has Bears offense humming', 'Rome Odunze has topped 90 yards in three straight games.'),
+  ];
+
+  const clusters = clusterArticles(articles);
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].canonicalId, 'st');
+  assert.deepEqual(clusters[0].alternateIds.sort(), ['ap', 'fox']);
+});
+
+test('similar but different headlines stay separate', () => {
+  const articles = [
+    article('a', 'Chicago Bears Official', 'Bears injury report: Week 7', 'Short note.'),
+    article('b', 'Chicago Bears Official', 'Bears injury report: Week 8', 'Short note.'),
+  ];
+  assert.deepEqual(clusterArticles(articles), []);
+});
+
+test('identical short headlines from different outlets are different stories', () => {
+  const articles = [
+    article('a', 'Chicago Tribune', 'Bears mailbag', 'Brad Biggs answers questions about the defense.'),
+    article('b', 'The Athletic', 'Bears mailbag', 'Kevin Fishbain on the quarterback and the draft.'),
+    article('c', 'ESPN', 'Injury report', 'DJ Moore is questionable.'),
+    article('d', 'CBS Chicago', 'Injury report', 'Montez Sweat did not practice.'),
+    // ...unless the bodies say they're the same story
+    article('e', 'AP News', 'Bears notes', WIRE_STORY),
+    article('f', 'WGN News', 'Bears notes', WIRE_STORY),
+  ];
+  assert.deepEqual(clusterArticles(articles).map(c => [c.canonicalId, ...c.alternateIds].sort()), [['e', 'f']]);
+});
+
+test('markDuplicates points alternates at the canonical and clears stale marks', () => {
+  const articles = [
+    article('a', 'AP News', 'Bears sign veteran kicker to one-year deal', 'x'),
+    article('b', 'Daily Herald', 'Bears sign veteran kicker to one-year deal', 'xx'),
+    { ...article('c', 'WGN News', 'Unrelated story about the stadium', 'y'), duplicateOf: 'a' },
+  ];
+  markDuplicates(articles);
+  assert.equal(articles[0].duplicateOf, 'b');
+  assert.equal(articles[1].duplicateOf, undefined);
+  assert.equal(articles[2].duplicateOf, undefined);
+});
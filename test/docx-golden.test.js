@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import JSZip from 'jszip';
+import { Packer } from 'docx';
+import { generateDocx } from '../src/docx-generator.js';
+import { loadTemplate, TEMPLATES } from '../src/docx-template.js';
+
+// The generated document.xml for fixed articles, compared with the reference
+// copies in test/fixtures/docx/. After an intended change to the output,
+// `UPDATE_FIXTURES=1 npm test` rewrites them; review the diff before committing.
+
+const FIXTURES = new URL('./fixtures/docx/', import.meta.url);
+const COVER_DATE = new Date(2026, 9, 18);
+
+async function documentXml(name, options) {
+  const template = await loadTemplate(await readFile(new URL(`../public/templates/${TEMPLATES[name].file}`, import.meta.url)));
+  const { articles } = JSON.parse(await readFile(new URL('articles.json', FIXTURES), 'utf-8'));
+  const zip = await JSZip.loadAsync(await Packer.toBuffer(await generateDocx(articles, COVER_DATE, { template, ...options })));
+
+  // Hyperlink relationship ids are random; put each link's URL in its place
+  const rels = await zip.file('word/_rels/document.xml.rels').async('string');
+  const targets = new Map([...rels.matchAll(/Id="([^"]+)"[^>]*Target="([^"]+)"/g)].map(([, id, target]) => [id, target]));
+  return (await zip.file('word/document.xml').async('string'))
+    .replace(/r:id="([^"]+)"/g, (match, id) => `r:id="${targets.get(id) ?? id}"`)
+    .replace(/(<w:p>|<w:p |<w:sectPr)/g, '\n$1'); // a line per paragraph, for readable diffs
+}
+
+async function assertGolden(file, xml) {
+  const path = new URL(file, FIXTURES);
+  if (process.env.UPDATE_FIXTURES) await writeFile(path, xml);
+  assert.equal(xml, await readFile(path, 'utf-8'), `${file} changed (UPDATE_FIXTURES=1 to accept)`);
+}
+
+test('daily packet: contents in packet order, teasers in Other Coverage', async () => {
+  await assertGolden('daily.document.xml', await documentXml('daily', { otherCoverage: true, contents: 'order' }));
+});
+
+test('game day packet: contents by outlet, every article on its own pages', async () => {
+  await assertGolden('gameday.document.xml', await documentXml('gameday', {
+    otherCoverage: false,
+    contents: 'outlet',
+    order: ['athletic-mailbag', 'suntimes-notes', 'tribune-lions'],
+  }));
+});
+
+test('weekly digest: week-of cover, summary table, a divider before each day', async () => {
+  await assertGolden('weekly-digest.document.xml', await documentXml('weekly', {
+    otherCoverage: false,
+    digest: { start: '2026-10-17', end: '2026-10-19' },
+  }));
+});
+
+test('the same input builds the same document', async () => {
+  const options = { otherCoverage: true, contents: 'order' };
+  assert.equal(await documentXml('daily', options), await documentXml('daily', options));
+});
+
+test('a logo passed in replaces the template picture; null leaves it out', async () => {
+  const png = await readFile(new URL('../public/images/bears-logo.png', import.meta.url));
+  const withLogo = await documentXml('daily', { logo: png });
+  assert.equal((withLogo.match(/<w:drawing>/g) || []).length, 1);
+  assert.doesNotMatch(await documentXml('daily', { logo: null }), /<w:drawing>/);
+  await assert.rejects(documentXml('daily', { logo: new Uint8Array([1, 2, 3, 4]) }), /PNG, JPEG or GIF/);
+  await assert.rejects(generateDocx([], COVER_DATE, {}), /needs a template/);
+});
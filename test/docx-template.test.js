@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import JSZip from 'jszip';
+import { loadTemplate, TEMPLATES, DEFAULT_TEMPLATE } from '../src/docx-template.js';
+
+const templateFile = name => readFile(new URL(`../public/templates/${TEMPLATES[name].file}`, import.meta.url));
+
+test('page setup and columns come from the template sections', async () => {
+  const template = await loadTemplate(await templateFile(DEFAULT_TEMPLATE));
+  assert.deepEqual(template.page.size, { width: 12240, height: 15840 });
+  assert.deepEqual(template.page.margin, { top: 720, right: 720, bottom: 720, left: 720, header: 720, footer: 720 });
+  assert.deepEqual(template.columns, { count: 2, space: 720 });
+});
+
+test('placeholder paragraphs give the clip styles', async () => {
+  const { base, styles } = await loadTemplate(await templateFile(DEFAULT_TEMPLATE));
+  assert.deepEqual(base.run, { font: 'Aptos', size: 22 }); // theme font, resolved
+  assert.deepEqual(base.paragraph.spacing, { after: 160, line: 256, lineRule: 'auto' });
+
+  assert.deepEqual(styles.header.run, { font: 'Courier New', size: 20, italics: true, color: 'FF0000' });
+  assert.equal(styles.header.paragraph.alignment, 'right');
+  assert.deepEqual(styles.title.run, { font: 'Courier New', size: 40, bold: true });
+  assert.deepEqual(styles.title.paragraph.spacing, { after: 0, line: 240, lineRule: 'auto' });
+  assert.deepEqual(styles.byline.run, { font: 'Courier New', size: 20, bold: true, allCaps: true });
+  assert.equal(styles.pageLabel.run.color, 'FF0000');
+  assert.deepEqual(styles.body.run, { font: 'Courier New', size: 20 });
+  assert.equal(styles.body.paragraph.alignment, 'both');
+  assert.equal(styles.body.paragraph.spacing.after, 0);
+});
+
+test('the cover keeps its text and marks where the date and logo go', async () => {
+  const { cover, logo } = await loadTemplate(await templateFile(DEFAULT_TEMPLATE));
+  assert.deepEqual(cover.map(p => p.text ?? p.role), [
+    '', '', '', 'CHICAGO BEARS', 'MEDIA CLIPS', '', 'day', 'monthDay', 'logo',
+  ]);
+  const monthDay = cover.find(p => p.role === 'monthDay');
+  assert.equal(monthDay.run.color, 'FF0000');
+  assert.equal(monthDay.suffix.superScript, true);
+  assert.equal(cover[3].run.size, 70);
+
+  assert.equal(logo.type, 'png');
+  assert.deepEqual([logo.width, logo.height], [295, 292]);
+  assert.ok(logo.data.length > 0);
+});
+
+test('each named template loads with its own cover', async () => {
+  const covers = {};
+  for (const name of Object.keys(TEMPLATES)) {
+    const { cover } = await loadTemplate(await templateFile(name));
+    covers[name] = cover.filter(p => p.role === 'text').map(p => p.text);
+  }
+  assert.deepEqual(covers, {
+    daily: ['CHICAGO BEARS', 'MEDIA CLIPS'],
+    weekly: ['CHICAGO BEARS', 'WEEKLY CLIPS'],
+    gameday: ['CHICAGO BEARS', 'GAME DAY CLIPS'],
+  });
+});
+
+test('the weekly and game day templates lay the page out differently', async () => {
+  const weekly = await loadTemplate(await templateFile('weekly'));
+  assert.deepEqual(weekly.styles.body.run, { font: 'Courier New', size: 18 }); // 9pt, single spaced
+  assert.equal(weekly.styles.body.paragraph.spacing.line, 240);
+
+  const gameday = await loadTemplate(await templateFile('gameday'));
+  assert.deepEqual(gameday.page.margin, { top: 1080, right: 1080, bottom: 1080, left: 1080, header: 720, footer: 720 });
+  assert.equal(gameday.styles.header.run.color, 'C83803'); // Bears orange
+});
+
+test('a template without a placeholder is refused', async () => {
+  const zip = await JSZip.loadAsync(await templateFile(DEFAULT_TEMPLATE));
+  const xml = await zip.file('word/document.xml').async('string');
+  zip.file('word/document.xml', xml.replace('>TITLE<', '>HEADLINE<'));
+  const broken = await zip.generateAsync({ type: 'uint8array' });
+  await assert.rejects(loadTemplate(broken), /no "TITLE" paragraph/);
+  await assert.rejects(loadTemplate(new Uint8Array([1, 2, 3])));
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editionDateFor, editionWindow, latestClosedEdition } from '../src/edition.js';
+
+test('articles before 6 AM Central belong to that day, after to the next', () => {
+  assert.equal(editionDateFor('2026-10-18T10:59:59Z'), '2026-10-18'); // 5:59 AM CDT
+  assert.equal(editionDateFor('2026-10-18T11:00:00Z'), '2026-10-19'); // 6:00 AM CDT
+  assert.equal(editionDateFor('2026-01-15T11:59:00Z'), '2026-01-15'); // 5:59 AM CST
+  assert.equal(editionDateFor('2026-01-15T12:00:00Z'), '2026-01-16'); // 6:00 AM CST
+});
+
+test('edition windows follow daylight saving changes', () => {
+  // Spring forward (Mar 8, 2026): the window is 23 hours
+  const spring = editionWindow('2026-03-09');
+  assert.equal(spring.start.toISOString(), '2026-03-08T11:00:00.000Z');
+  assert.equal(spring.end.toISOString(), '2026-03-09T11:00:00.000Z');
+  assert.equal(editionWindow('2026-03-08').start.toISOString(), '2026-03-07T12:00:00.000Z');
+
+  // Fall back (Nov 1, 2026): the window is 25 hours
+  const fall = editionWindow('2026-11-01');
+  assert.equal(fall.start.toISOString(), '2026-10-31T11:00:00.000Z');
+  assert.equal(fall.end.toISOString(), '2026-11-01T12:00:00.000Z');
+});
+
+test('the scheduled 7 AM CDT run builds the edition that just closed', () => {
+  assert.equal(latestClosedEdition(new Date('2026-10-18T12:00:00Z')), '2026-10-18');
+});
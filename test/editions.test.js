@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { mergeEdition, writeEdition, readEdition, removeMovedArticles } from '../scripts/lib/editions.js';
+
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+const full = {
+  id: 'st', title: 'Bears notes', source: 'Chicago Sun-Times', publishedAt: '2026-10-18T02:00:00Z',
+  excerpt: 'Odunze had a big day.', content: 'Odunze had a big day.\n\nSeven catches for 112 yards.',
+  body: [{ type: 'paragraph', text: 'Odunze had a big day.' }, { type: 'paragraph', text: 'Seven catches for 112 yards.' }],
+  contentStrategy: 'article-page', contentStatus: 'full',
+};
+const teaser = {
+  ...full, title: 'Bears notes: Odunze', excerpt: 'Odunze had a big day.', content: 'Odunze had a big day.',
+  body: [{ type: 'paragraph', text: 'Odunze had a big day.' }], contentStrategy: 'excerpt', contentStatus: 'excerpt',
+};
+
+test('a teaser-only re-scrape keeps the full body already stored', () => {
+  const [kept] = mergeEdition('2026-10-18', { articles: [full] }, [teaser], NOW).articles;
+  assert.equal(kept.title, 'Bears notes: Odunze'); // listing fields are updated
+  assert.deepEqual([kept.body, kept.contentStatus], [full.body, 'full']);
+
+  const fuller = { ...full, content: `${full.content}\n\nMore.` };
+  assert.equal(mergeEdition('2026-10-18', { articles: [full] }, [fuller], NOW).articles[0].content, fuller.content);
+});
+
+test('an article whose date moved leaves its old edition', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'editions-'));
+  try {
+    writeEdition(dir, mergeEdition('2026-10-17', null, [full, { ...full, id: 'other' }], NOW));
+    writeEdition(dir, mergeEdition('2026-10-18', null, [{ ...full, id: 'third' }], NOW));
+
+    const { moved, rewritten } = removeMovedArticles(dir, new Map([['st', '2026-10-18'], ['third', '2026-10-18']]), NOW);
+    assert.deepEqual([...moved.keys()], ['st']);
+    assert.equal(moved.get('st').contentStatus, 'full');
+    assert.deepEqual(rewritten.map(e => e.edition), ['2026-10-17']);
+    assert.deepEqual(readEdition(dir, '2026-10-17').articles.map(a => a.id), ['other']);
+    assert.deepEqual(readEdition(dir, '2026-10-18').articles.map(a => a.id), ['third']);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
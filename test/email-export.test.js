@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildEmail, emailHtml, emailText, emailMessage } from '../src/email-export.js';
+
+const lead = 'The Bears defense held the Lions to three points in the second half on Sunday, and Caleb Williams did the rest.';
+
+const articles = [
+  {
+    id: 'a', title: 'Bears beat Lions', author: 'Brad Biggs', source: 'Chicago Tribune', sourceUrl: 'https://chicagotribune.com/a',
+    publishedAt: '2026-10-18T02:00:00Z', contentStatus: 'full',
+    body: [{ type: 'subhead', text: 'Defense' }, { type: 'paragraph', text: lead }, { type: 'paragraph', text: 'More.' }],
+  },
+  {
+    id: 'b', title: 'Injury <b>report</b>', author: '', source: 'ESPN', sourceUrl: 'javascript:alert(1)',
+    publishedAt: '2026-10-17T20:00:00Z', contentStatus: 'paywalled', excerpt: 'Teaser & more',
+  },
+  {
+    id: 'c', title: 'Odunze breaks out', author: 'Colleen Kane', source: 'Chicago Tribune', sourceUrl: 'https://chicagotribune.com/c',
+    publishedAt: '2026-10-18T03:00:00Z', contentStatus: 'full', body: [{ type: 'paragraph', text: 'Seven catches.' }],
+  },
+];
+
+test('the email lists every clip under its outlet with byline and lead', () => {
+  const email = buildEmail(articles, new Date(2026, 9, 18), { order: ['b', 'a', 'c'] });
+  assert.equal(email.subject, 'Chicago Bears Media Clips – Sunday, October 18, 2026');
+  assert.deepEqual(email.date, { dayLine: 'SUNDAY,', monthDay: 'OCTOBER 18', suffix: 'th' });
+  assert.equal(email.count, 3);
+  assert.deepEqual(email.groups.map(group => [group.outlet, group.clips.map(clip => clip.title)]), [
+    ['ESPN', ['Injury <b>report</b>']],
+    ['Chicago Tribune', ['Bears beat Lions', 'Odunze breaks out']],
+  ]);
+  assert.deepEqual(email.groups[1].clips[0], {
+    title: 'Bears beat Lions', url: 'https://chicagotribune.com/a', byline: 'By Brad Biggs, Chicago Tribune', lead,
+  });
+  assert.equal(email.groups[0].clips[0].lead, 'Teaser & more');
+  assert.equal(email.groups[0].clips[0].url, ''); // not a web link
+
+  const digest = buildEmail(articles, new Date(), { digest: { start: '2026-10-17', end: '2026-10-19' } });
+  assert.equal(digest.subject, 'Chicago Bears Media Clips – Week of October 17, 2026');
+  assert.equal(digest.date.dayLine, 'WEEK OF');
+});
+
+test('the HTML body escapes article text and links only web URLs', () => {
+  const html = emailHtml(buildEmail(articles, new Date(2026, 9, 18)));
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.ok(html.includes('Injury &lt;b&gt;report&lt;/b&gt;'));
+  assert.ok(html.includes('Teaser &amp; more'));
+  assert.doesNotMatch(html, /<b>|javascript:/);
+  assert.match(html, /<a href="https:\/\/chicagotribune\.com\/a"[^>]*>Bears beat Lions<\/a>/);
+  assert.ok(html.includes('SUNDAY, OCTOBER 18<sup>th</sup>'));
+  assert.ok(html.includes('#00205B') && html.includes('#FF6600'));
+});
+
+test('the plain-text body wraps at 72 characters with links on their own lines', () => {
+  const text = emailText(buildEmail(articles, new Date(2026, 9, 18)));
+  const lines = text.split('\n');
+  assert.deepEqual(lines.slice(0, 2), ['CHICAGO BEARS MEDIA CLIPS', 'SUNDAY, OCTOBER 18th']);
+  assert.ok(lines.every(line => line.length <= 72));
+  assert.ok(lines.includes('CHICAGO TRIBUNE') && lines.includes('https://chicagotribune.com/a'));
+  assert.ok(text.includes('The Bears defense held the Lions to three points in the second half on\nSunday'));
+  assert.ok(!text.includes('javascript:'));
+});
+
+test('the .eml is an unsent multipart draft carrying both bodies', () => {
+  const email = buildEmail(articles, new Date(2026, 9, 18));
+  const eml = emailMessage(email);
+  const [headers, text, html, end] = eml.split('--=_bears-clips_alternative');
+  assert.match(headers, /^X-Unsent: 1\r\n/);
+  assert.match(headers, /Content-Type: multipart\/alternative; boundary="=_bears-clips_alternative"/);
+  assert.ok(eml.split('\r\n').every(line => line.length <= 76));
+
+  // The subject's encoded words decode back to the subject
+  const subject = headers.match(/Subject: ([^]*?)\r\nMIME/)[1].split('\r\n ')
+    .map(word => Buffer.from(word.match(/^=\?UTF-8\?B\?(.*)\?=$/)[1], 'base64').toString('utf-8')).join('');
+  assert.equal(subject, email.subject);
+
+  const decode = part => Buffer.from(part.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString('utf-8');
+  assert.match(text, /Content-Type: text\/plain; charset=UTF-8/);
+  assert.equal(decode(text), emailText(email));
+  assert.match(html, /Content-Type: text\/html; charset=UTF-8/);
+  assert.equal(decode(html), emailHtml(email));
+  assert.equal(end, '--\r\n');
+});
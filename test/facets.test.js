@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterByFacets, facetCounts } from '../src/facets.js';
+import { parseQuery } from '../src/search-query.js';
+
+const articles = [
+  { id: 'a', source: 'Chicago Tribune', authors: ['Brad Biggs'], publishedAt: '2026-10-17T14:00:00Z', contentStatus: 'full', title: 'Caleb Williams shines' },
+  { id: 'b', source: 'Chicago Tribune', authors: ['Colleen Kane', 'Brad Biggs'], publishedAt: '2026-10-18T02:00:00Z', contentStatus: 'paywalled', title: 'Injury report' },
+  { id: 'c', source: 'ESPN', author: 'Staff', publishedAt: '2026-10-17T20:00:00Z', contentStatus: 'full', title: 'Caleb Williams, injury update' },
+  { id: 'd', source: 'WGN News', author: 'Staff', publishedAt: null, contentStatus: 'excerpt', title: 'Bears notes' },
+];
+
+const keywords = ['"Caleb Williams"', 'injury'].map(keyword => ({ keyword, query: parseQuery(keyword) }));
+
+const ids = list => list.map(article => article.id);
+const counts = (facets, id) => Object.fromEntries(facets.find(f => f.id === id).values.map(v => [v.value, v.count]));
+
+test('values within a facet widen; different facets narrow', () => {
+  assert.deepEqual(ids(filterByFacets(articles, { source: new Set(['Chicago Tribune', 'ESPN']) })), ['a', 'b', 'c']);
+  assert.deepEqual(ids(filterByFacets(articles, {
+    source: new Set(['Chicago Tribune', 'ESPN']),
+    status: new Set(['Full text']),
+  })), ['a', 'c']);
+  assert.deepEqual(ids(filterByFacets(articles, { keyword: new Set(['injury']) }, keywords)), ['b', 'c']);
+  assert.deepEqual(ids(filterByFacets(articles, {})), ['a', 'b', 'c', 'd']);
+});
+
+test('counts cover every facet value, ignoring the facet itself', () => {
+  const facets = facetCounts(articles, { source: new Set(['Chicago Tribune']) }, keywords);
+
+  // Outlet counts ignore the outlet filter, so other outlets still show what they'd add
+  assert.deepEqual(counts(facets, 'source'), { 'Chicago Tribune': 2, 'ESPN': 1, 'WGN News': 1 });
+  assert.deepEqual(counts(facets, 'author'), { 'Brad Biggs': 2, 'Colleen Kane': 1 });
+  assert.deepEqual(counts(facets, 'status'), { 'Full text': 1, 'Paywalled': 1 });
+  assert.deepEqual(counts(facets, 'keyword'), { '"Caleb Williams"': 1, 'injury': 1 });
+  assert.equal(facets.find(f => f.id === 'source').values[0].selected, true);
+});
+
+test('publish times fall into parts of the Central edition day', () => {
+  const facets = facetCounts(articles, {});
+  assert.deepEqual(facets.find(f => f.id === 'time').values.map(v => [v.value, v.count]), [
+    ['Morning (6 AM–noon)', 1],
+    ['Afternoon (noon–6 PM)', 1],
+    ['Evening (6 PM–midnight)', 1],
+    ['No publish time', 1],
+  ]);
+});
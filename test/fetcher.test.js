@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createFetcher, parseRobots, isAllowed, ROBOTS_AGENT } from '../scripts/lib/fetcher.js';
+
+const noSleep = async () => {};
+
+// A fetch() that answers from a list of handlers, recording each call
+function fakeFetch(handler) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, headers: init.headers });
+    return handler(url, init, calls.length);
+  };
+  fetch.calls = calls;
+  return fetch;
+}
+
+test('retries 429 and 5xx with backoff, then gives up', async () => {
+  const delays = [];
+  const sleep = async ms => { delays.push(ms); };
+
+  const flaky = fakeFetch((url, init, n) => n < 3 ? new Response('', { status: 503 }) : new Response('ok'));
+  const fetcher = createFetcher({ fetch: flaky, robots: false, minIntervalMs: 0, sleep });
+  assert.deepEqual(await fetcher.get('https://example.com/a'), { status: 200, text: 'ok', cached: false, blocked: false });
+  assert.deepEqual(delays, [1000, 2000]);
+
+  const down = fakeFetch(() => new Response('', { status: 500 }));
+  const gaveUp = await createFetcher({ fetch: down, robots: false, minIntervalMs: 0, sleep: noSleep }).get('https://example.com/b');
+  assert.equal(gaveUp.status, 500);
+  assert.equal(gaveUp.text, null);
+  assert.equal(down.calls.length, 3);
+
+  const missing = fakeFetch(() => new Response('', { status: 404 }));
+  await createFetcher({ fetch: missing, robots: false, minIntervalMs: 0, sleep: noSleep }).get('https://example.com/c');
+  assert.equal(missing.calls.length, 1); // 4xx other than 429 is final
+});
+
+test('requests name the scraper in their User-Agent', async () => {
+  const fetch = fakeFetch(() => new Response('ok'));
+  await createFetcher({ fetch, robots: false, minIntervalMs: 0 }).get('https://example.com/a');
+  assert.match(fetch.calls[0].headers['User-Agent'], new RegExp(`^${ROBOTS_AGENT}/`));
+});
+
+test('Retry-After overrides the backoff delay', async () => {
+  const delays = [];
+  const fetch = fakeFetch((url, init, n) =>
+    n === 1 ? new Response('', { status: 429, headers: { 'Retry-After': '5' } }) : new Response('ok'));
+  await createFetcher({ fetch, robots: false, minIntervalMs: 0, sleep: async ms => { delays.push(ms); } })
+    .get('https://example.com/a');
+  assert.deepEqual(delays, [5000]);
+});
+
+test('conditional requests serve the cached body on 304', async () => {
+  const cacheDir = mkdtempSync(join(tmpdir(), 'bears-http-'));
+  try {
+    const fetch = fakeFetch((url, init) =>
+      init.headers['If-None-Match'] === '"v1"'
+        ? new Response(null, { status: 304 })
+        : new Response('<p>story</p>', { headers: { ETag: '"v1"' } }));
+
+    const first = await createFetcher({ fetch, robots: false, minIntervalMs: 0, cacheDir }).get('https://example.com/story');
+    const second = await createFetcher({ fetch, robots: false, minIntervalMs: 0, cacheDir }).get('https://example.com/story');
+
+    assert.equal(first.cached, false);
+    assert.deepEqual(second, { status: 200, text: '<p>story</p>', cached: true, blocked: false });
+    assert.equal(fetch.calls[1].headers['If-None-Match'], '"v1"');
+  } finally {
+    rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('robots.txt rules are honoured, longest match first', async () => {
+  const robots = parseRobots([
+    'User-agent: Googlebot',
+    'Disallow: /',
+    '',
+    'User-agent: *',
+    'Disallow: /search',
+    'Disallow: /*.pdf$',
+    'Allow: /search/about',
+    'Crawl-delay: 2',
+  ].join('\n'));
+  assert.equal(robots.crawlDelayMs, 2000);
+  assert.equal(isAllowed(robots, '/sports/bears/'), true);
+  assert.equal(isAllowed(robots, '/search?q=bears'), false);
+  assert.equal(isAllowed(robots, '/search/about'), true);
+  assert.equal(isAllowed(robots, '/files/depth-chart.pdf'), false);
+
+  const fetch = fakeFetch(url =>
+    url.endsWith('/robots.txt') ? new Response('User-agent: *\nDisallow: /private/') : new Response('ok'));
+  const fetcher = createFetcher({ fetch, minIntervalMs: 0, sleep: noSleep });
+  assert.equal((await fetcher.get('https://example.com/private/page')).blocked, true);
+  assert.equal((await fetcher.get('https://example.com/news/page')).text, 'ok');
+  assert.equal(fetch.calls.filter(c => c.url.endsWith('/robots.txt')).length, 1); // fetched once per host
+});
+
+test('requests to one host never exceed the concurrency limit', async () => {
+  let active = 0;
+  let peak = 0;
+  const fetch = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(r => setTimeout(r, 5));
+    active--;
+    return new Response('ok');
+  };
+  const fetcher = createFetcher({ fetch, robots: false, minIntervalMs: 0, concurrency: 2 });
+  const urls = Array.from({ length: 6 }, (_, i) => `https://example.com/${i}`);
+  const results = await Promise.all(urls.map(url => fetcher.get(url)));
+  assert.ok(results.every(r => r.text === 'ok'));
+  assert.equal(peak, 2);
+});
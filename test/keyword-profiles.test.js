@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadProfiles, saveProfiles, upsertProfile, deleteProfile, exportProfiles, importProfiles,
+  encodeSearchState, decodeSearchState, DEFAULT_PROFILES, PROFILES_STORAGE_KEY,
+} from '../src/keyword-profiles.js';
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+}
+
+test('profiles round-trip through storage, falling back to the defaults', () => {
+  const storage = memoryStorage();
+  assert.deepEqual(loadProfiles(storage).profiles.map(p => p.name), DEFAULT_PROFILES.map(p => p.name));
+
+  let profiles = upsertProfile(DEFAULT_PROFILES, { name: 'Draft week', keywords: ['draft', ' draft ', 'Poles'] });
+  profiles = upsertProfile(profiles, { name: ' Training camp ', keywords: ['"Halas Hall"'] });
+  profiles = deleteProfile(profiles, 'Stadium/Business');
+  saveProfiles(storage, { profiles, active: 'Training camp' });
+
+  const loaded = loadProfiles(storage);
+  assert.equal(loaded.active, 'Training camp');
+  assert.deepEqual(loaded.profiles, [
+    { name: 'Daily', keywords: ['Bears'] },
+    { name: 'Draft week', keywords: ['draft', 'Poles'] },
+    { name: 'Training camp', keywords: ['"Halas Hall"'] },
+  ]);
+
+  storage.setItem(PROFILES_STORAGE_KEY, '{"profiles": [{"name": 7}]}');
+  assert.equal(loadProfiles(storage).active, 'Daily');
+});
+
+test('import merges exported profiles by name and rejects other files', () => {
+  const exported = exportProfiles([
+    { name: 'Daily', keywords: ['Bears', 'Caleb Williams'] },
+    { name: 'Stadium/Business', keywords: ['"Arlington Heights"'] },
+  ]);
+  const { profiles, names } = importProfiles(exported, [{ name: 'Daily', keywords: ['Bears'] }, { name: 'Mine', keywords: ['x'] }]);
+  assert.deepEqual(names, ['Daily', 'Stadium/Business']);
+  assert.deepEqual(profiles.map(p => [p.name, p.keywords.length]), [['Daily', 2], ['Mine', 1], ['Stadium/Business', 1]]);
+
+  assert.throws(() => importProfiles('not json', []), /not a JSON file/);
+  assert.throws(() => importProfiles('{"profiles": []}', []), /no profiles/);
+  assert.throws(() => importProfiles('[{"name": "A", "keywords": "Bears"}]', []), /profile 1 needs/);
+});
+
+test('the search survives a trip through the URL', () => {
+  const state = { profile: 'Stadium/Business', keywords: ['"Soldier Field"', 'Bears NOT Cubs'], edition: '2026-10-18' };
+  const query = encodeSearchState(state);
+  assert.equal(query, 'profile=Stadium%2FBusiness&q=%22Soldier+Field%22&q=Bears+NOT+Cubs&edition=2026-10-18');
+  assert.deepEqual(decodeSearchState(`?${query}`), state);
+  assert.deepEqual(decodeSearchState('?edition=yesterday'), { profile: null, keywords: null, edition: null });
+});
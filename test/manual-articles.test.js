@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createManualArticle, parsePublishTime, loadManualArticles, saveManualArticles, MANUAL_STORAGE_KEY, KEEP_DAYS,
+} from '../src/manual-articles.js';
+
+const NOW = new Date('2026-10-18T16:00:00Z'); // 11 AM CDT — the Oct 18 packet is due
+
+// Just enough of localStorage
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+}
+
+test('builds a full-text article in the scraper shape', () => {
+  const article = createManualArticle({
+    title: ' Radio: Poles on the offseason ',
+    author: 'Jane Doe',
+    source: '670 The Score',
+    publishedAt: parsePublishTime('2026-10-17T07:30'),
+    body: 'First paragraph.\n\nSecond paragraph.',
+  }, { edition: '2026-10-18', now: NOW });
+
+  assert.match(article.id, /^manual-/);
+  assert.equal(article.title, 'Radio: Poles on the offseason');
+  assert.equal(article.publishedAt, '2026-10-17T12:30:00.000Z');
+  assert.equal(article.publishedAtSource, 'manual');
+  assert.deepEqual(article.body.map(block => block.text), ['First paragraph.', 'Second paragraph.']);
+  assert.equal(article.content, 'First paragraph.\n\nSecond paragraph.');
+  assert.equal(article.excerpt, 'First paragraph.');
+  assert.equal(article.contentStatus, 'full');
+  assert.equal(article.edition, '2026-10-18');
+  assert.equal(article.manual, true);
+
+  const undated = createManualArticle({ title: 'T', source: 'S', body: 'Text.' }, { now: NOW });
+  assert.equal(undated.publishedAt, null);
+  assert.equal(undated.edition, '2026-10-18'); // the packet due now
+});
+
+test('articles of past editions stay in storage until they are KEEP_DAYS old', () => {
+  const storage = memoryStorage();
+  const make = edition => createManualArticle({ title: edition, source: 'S', body: 'Text.' }, { edition, now: NOW });
+  saveManualArticles(storage, [make('2026-08-18'), make('2026-08-19'), make('2026-10-17'), make('2026-10-18')]);
+
+  // Yesterday's article is still there to reopen; one from 61 days back is gone
+  assert.equal(KEEP_DAYS, 60);
+  assert.deepEqual(loadManualArticles(storage, NOW).map(a => a.edition), ['2026-08-19', '2026-10-17', '2026-10-18']);
+  assert.equal(JSON.parse(storage.getItem(MANUAL_STORAGE_KEY)).length, 3);
+
+  // 6 AM Oct 19: a later edition closing doesn't drop Oct 18's articles
+  const nextDay = new Date('2026-10-19T11:00:00Z');
+  assert.deepEqual(loadManualArticles(storage, nextDay).map(a => a.edition), ['2026-10-17', '2026-10-18']);
+
+  storage.setItem(MANUAL_STORAGE_KEY, 'not json');
+  assert.deepEqual(loadManualArticles(storage, NOW), []);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+import { readPageMetadata, splitAuthors, formatAuthors, stripTracking } from '../scripts/lib/metadata.js';
+
+const NOW = Date.parse('2026-10-18T11:30:00Z');
+const PAGE = 'https://www.chicagotribune.com/2026/10/17/story/?utm_source=twitter';
+
+test('bylines split into writer names without outlet credits', () => {
+  assert.deepEqual(splitAuthors('By Brad Biggs and Colleen Kane'), ['Brad Biggs', 'Colleen Kane']);
+  assert.deepEqual(splitAuthors('By ANDREW SELIGMAN'), ['Andrew Seligman']);
+  assert.deepEqual(splitAuthors('By Brad Biggs, Chicago Tribune', 'Chicago Tribune'), ['Brad Biggs']);
+  assert.deepEqual(splitAuthors('Staff'), []);
+  assert.equal(formatAuthors(['A', 'B', 'C']), 'A, B and C');
+});
+
+test('tracking parameters are stripped, clean URLs left as they are', () => {
+  assert.equal(stripTracking(PAGE), 'https://www.chicagotribune.com/2026/10/17/story/');
+  assert.equal(stripTracking('https://example.com/a?id=7'), 'https://example.com/a?id=7');
+});
+
+test('JSON-LD NewsArticle supplies headline, authors, section, dates and image', () => {
+  const $ = load(`<head>
+    <link rel="canonical" href="/2026/10/17/story/">
+    <meta property="og:image" content="https://img.example.com/lead.jpg">
+    <meta name="author" content="Someone Else">
+    <script type="application/ld+json">{"@graph":[
+      {"@type":"WebPage","url":"https://www.chicagotribune.com/"},
+      {"@type":"NewsArticle","headline":"Bears &amp; Packers: the rivalry at 200",
+       "author":[{"@type":"Person","name":"Brad Biggs"},{"@type":"Person","name":"Colleen Kane"}],
+       "articleSection":["Sports","Bears"],
+       "datePublished":"2026-10-17T14:05:00-05:00","dateModified":"2026-10-17T16:00:00-05:00"}
+    ]}</script>
+  </head>`);
+  const meta = readPageMetadata($, PAGE, { now: NOW });
+  assert.equal(meta.headline, 'Bears & Packers: the rivalry at 200');
+  assert.deepEqual(meta.authors, ['Brad Biggs', 'Colleen Kane']);
+  assert.equal(meta.section, 'Sports');
+  assert.deepEqual(meta.published, { date: new Date('2026-10-17T19:05:00Z'), source: 'json-ld' });
+  assert.equal(meta.modified.toISOString(), '2026-10-17T21:00:00.000Z');
+  assert.equal(meta.canonicalUrl, 'https://www.chicagotribune.com/2026/10/17/story/');
+  assert.equal(meta.imageUrl, 'https://img.example.com/lead.jpg');
+  assert.equal(meta.accessibleForFree, null);
+
+  const paywalled = load(`<script type="application/ld+json">
+    {"@type":"NewsArticle","isAccessibleForFree":"False","hasPart":{"@type":"WebPageElement","isAccessibleForFree":false}}
+  </script>`);
+  assert.equal(readPageMetadata(paywalled, PAGE, { now: NOW }).accessibleForFree, false);
+});
+
+test('meta tags fill in when there is no JSON-LD', () => {
+  const $ = load(`<head>
+    <meta property="article:published_time" content="2026-10-17T08:00:00-05:00">
+    <meta property="article:author" content="https://www.example.com/staff/jane">
+    <meta name="author" content="Jane Doe">
+    <meta property="og:url" content="https://www.chicagotribune.com/2026/10/17/story/">
+  </head><body><time datetime="2026-10-17T23:00:00Z">Oct 17</time></body>`);
+  const meta = readPageMetadata($, PAGE, { now: NOW });
+  assert.deepEqual(meta.authors, ['Jane Doe']);
+  assert.equal(meta.published.source, 'article-meta');
+  assert.equal(meta.headline, null);
+  assert.equal(meta.canonicalUrl, 'https://www.chicagotribune.com/2026/10/17/story/');
+
+  assert.equal(readPageMetadata(load('<p>No metadata here</p>'), PAGE, { now: NOW }).published, null);
+});
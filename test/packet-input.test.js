@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { readArticles, readDigestArticles, pickArticles } from '../scripts/lib/packet-input.js';
+
+const articles = [
+  { id: 'ap', title: 'Williams throws 3 TDs as Bears beat Packers', author: '', source: 'AP News', duplicateOf: 'st', publishedAt: '2026-10-18T01:00:00Z' },
+  { id: 'st', title: 'Williams throws 3 TDs as Bears beat Packers', author: 'Patrick Finley', source: 'Chicago Sun-Times', publishedAt: '2026-10-18T02:00:00Z' },
+  { id: 'tr', title: 'Bears defense steps up', author: 'Brad Biggs', source: 'Chicago Tribune', publishedAt: '2026-10-18T03:00:00Z' },
+  { id: 'espn', title: 'Packers searching for answers', author: 'Rob Demovsky', source: 'ESPN', publishedAt: '2026-10-18T04:00:00Z' },
+];
+
+function dataDir(files) {
+  const dir = mkdtempSync(join(tmpdir(), 'packet-input-'));
+  for (const [path, data] of Object.entries(files)) {
+    mkdirSync(join(dir, path, '..'), { recursive: true });
+    writeFileSync(join(dir, path), JSON.stringify(data));
+  }
+  return dir;
+}
+
+test('ids pick exactly those articles, in that order', () => {
+  assert.deepEqual(pickArticles(articles, { ids: ['espn', 'ap'] }).map(a => a.id), ['espn', 'ap']);
+  assert.throws(() => pickArticles(articles, { ids: ['espn', 'nope'] }), /unknown article id\(s\): nope/);
+  assert.throws(() => pickArticles(articles, {}), /ids or a query/);
+  assert.throws(() => pickArticles(articles, { ids: ['espn'], queries: ['Bears'] }), /not both/);
+});
+
+test('queries match like the web app, one copy per story, sorted by preset', () => {
+  assert.deepEqual(pickArticles(articles, { queries: ['Bears'] }).map(a => a.id), ['tr', 'st']);
+  assert.deepEqual(pickArticles(articles, { queries: ['Packers', 'author:Biggs'], preset: 'topic' }).map(a => a.id), ['st', 'espn', 'tr']);
+  assert.deepEqual(pickArticles(articles, { queries: ['Bears -defense'], preset: 'chronological' }).map(a => a.id), ['st']);
+  assert.throws(() => pickArticles(articles, { queries: ['('] }));
+});
+
+test('articles come from the named edition, the one due now, or articles.json', () => {
+  const dir = dataDir({
+    'articles.json': { articles: [articles[0]] },
+    'editions/index.json': { editions: [{ date: '2026-10-18' }, { date: '2026-10-17' }] },
+    'editions/2026-10-18.json': { edition: '2026-10-18', articles: [articles[1]] },
+    'editions/2026-10-17.json': { edition: '2026-10-17', articles: [articles[2]] },
+  });
+  try {
+    assert.deepEqual(readArticles({ dataDir: dir, edition: '2026-10-17' }), { articles: [articles[2]], edition: '2026-10-17' });
+    // 8 a.m. Central on the 17th: the 17th's edition is the one due
+    assert.equal(readArticles({ dataDir: dir, now: new Date('2026-10-17T13:00:00Z') }).edition, '2026-10-17');
+    // Nothing on file for the day due, so the newest
+    assert.equal(readArticles({ dataDir: dir, now: new Date('2026-11-01T13:00:00Z') }).edition, '2026-10-18');
+    assert.throws(() => readArticles({ dataDir: dir, edition: '2026-10-01' }), /no edition 2026-10-01/);
+    assert.deepEqual(readArticles({ dataDir: dir, file: join(dir, 'articles.json') }), { articles: [articles[0]], edition: null });
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  const bare = dataDir({ 'articles.json': { articles: [articles[3]] } });
+  try {
+    assert.deepEqual(readArticles({ dataDir: bare }), { articles: [articles[3]], edition: null });
+  } finally {
+    rmSync(bare, { recursive: true, force: true });
+  }
+});
+
+test('a digest reads every edition in its range, tagging each article with its day', () => {
+  const dir = dataDir({
+    'editions/2026-10-17.json': { edition: '2026-10-17', articles: [articles[2]] },
+    'editions/2026-10-19.json': { edition: '2026-10-19', articles: [articles[3], { ...articles[2], edition: '2026-10-17' }] },
+  });
+  try {
+    const { articles: digest, edition } = readDigestArticles({ dataDir: dir, start: '2026-10-17', end: '2026-10-19' });
+    assert.equal(edition, '2026-10-19');
+    assert.deepEqual(digest.map(a => [a.id, a.edition]), [['tr', '2026-10-17'], ['espn', '2026-10-19']]);
+    assert.throws(() => readDigestArticles({ dataDir: dir, start: '2026-10-10', end: '2026-10-12' }), /no editions from 2026-10-10/);
+    assert.throws(() => readDigestArticles({ dataDir: dir, start: '2026-10-01', end: '2026-10-19' }), /at most 8 days/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,235 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildPacket, paginatePacket, startPages, clipWarnings, wrapText, digestDays, packetLayout,
+  COLUMN_CHARS, TEXT_CHARS, APPENDIX_BOOKMARK, MAX_DIGEST_DAYS,
+} from '../src/packet.js';
+
+const sentence = 'The Bears defense held the Lions to three points in the second half on Sunday.';
+const paragraphs = count => Array.from({ length: count }, () => ({ type: 'paragraph', text: `${sentence} ${sentence}` }));
+
+const articles = [
+  {
+    id: 'a', title: 'Bears beat Lions', author: 'Brad Biggs', source: 'Chicago Tribune',
+    publishedAt: '2026-10-18T02:00:00Z', contentStatus: 'full', body: paragraphs(3),
+  },
+  {
+    id: 'b', title: 'Injury report', author: '', source: 'ESPN',
+    publishedAt: '2026-10-17T20:00:00Z', contentStatus: 'paywalled', excerpt: 'Teaser', sourceUrl: 'https://espn.com/x',
+  },
+  {
+    id: 'c', title: 'Long read', author: 'Colleen Kane', source: 'Chicago Sun-Times',
+    publishedAt: 'yesterday', contentStatus: 'full', body: paragraphs(80),
+  },
+];
+
+test('the packet carries the header block generateDocx() writes', () => {
+  const packet = buildPacket(articles, new Date(2026, 9, 18), { order: ['c', 'a', 'b'] });
+  assert.deepEqual(packet.cover, { dayLine: 'SUNDAY,', monthDay: 'OCTOBER 18', suffix: 'th' });
+  assert.deepEqual(packet.clips.map(clip => clip.id), ['c', 'a', 'b']);
+
+  const [long, first, teaser] = packet.clips;
+  assert.equal(first.header, 'Chicago Tribune – Saturday, October 17, 2026');
+  assert.equal(first.byline, 'By Brad Biggs, Chicago Tribune');
+  assert.equal(first.pageLabel, 'Page 2 of 3');
+  assert.equal(long.header, 'Chicago Sun-Times'); // unparseable date left out
+  assert.equal(teaser.byline, 'By Staff, ESPN');
+  assert.deepEqual(teaser.body, [{ type: 'paragraph', text: 'Teaser' }]);
+  assert.deepEqual(packet.appendix, []);
+});
+
+test('Other Coverage moves teasers to the appendix', () => {
+  const packet = buildPacket(articles, new Date(2026, 9, 18), { otherCoverage: true });
+  assert.deepEqual(packet.clips.map(clip => clip.pageLabel), ['Page 1 of 2', 'Page 2 of 2']);
+  assert.equal(packet.appendix.length, 1);
+  assert.equal(packet.appendix[0].url, 'https://espn.com/x');
+  assert.match(packet.appendix[0].credit, /^By Staff, ESPN – Sat, Oct 17, 3:00 PM$/);
+});
+
+test('wrapText breaks on spaces and gives back the text', () => {
+  const lines = wrapText(`${sentence} ${'x'.repeat(50)}`, COLUMN_CHARS);
+  assert.ok(lines.every(line => line.trimEnd().length <= COLUMN_CHARS));
+  assert.equal(lines.join(''), `${sentence} ${'x'.repeat(50)}`);
+  assert.deepEqual(wrapText('', 10), []);
+});
+
+test('pages: cover, then each clip across as many pages as its body needs', () => {
+  const packet = buildPacket(articles, new Date(2026, 9, 18), { otherCoverage: true });
+  const pages = paginatePacket(packet);
+
+  assert.equal(pages[0].kind, 'cover');
+  assert.deepEqual(pages.map(page => page.kind), ['cover', 'contents', ...Array(pages.length - 3).fill('clip'), 'appendix']);
+
+  const short = pages.filter(page => page.clip?.id === 'a');
+  assert.equal(short.length, 1);
+  assert.equal(short[0].first, true);
+  assert.equal(short[0].columns.length, 1);
+  assert.equal(short[0].columns[0].length, 3);
+
+  const long = pages.filter(page => page.clip?.id === 'c');
+  assert.ok(long.length > 1);
+  assert.deepEqual(long.map(page => page.first), [true, ...Array(long.length - 1).fill(false)]);
+  assert.ok(long.slice(0, -1).every(page => page.columns.length === 2));
+
+  // Every word ends up on a page exactly once, in order
+  const text = long.flatMap(page => page.columns.flat()).reduce((all, block) =>
+    (block.continued ? `${all} ${block.text}` : `${all}\n${block.text}`), '').trim();
+  assert.equal(text, articles[2].body.map(block => block.text).join('\n'));
+});
+
+test('split paragraphs leave at least two lines on each side', () => {
+  const long = paginatePacket(buildPacket([articles[2]])).filter(page => page.kind === 'clip');
+  for (const block of long.flatMap(page => page.columns.flat())) {
+    assert.ok(wrapText(block.text, COLUMN_CHARS).length >= 2, block.text);
+  }
+});
+
+test('a subhead moves to the next column rather than end one', () => {
+  const short = { type: 'paragraph', text: sentence }; // two lines
+  for (let extra = 0; extra < 6; extra++) {
+    const body = [...paragraphs(13), ...Array(extra).fill(short), { type: 'subhead', text: 'Defense' }, ...paragraphs(2)];
+    const [page] = paginatePacket(buildPacket([{ ...articles[0], body }])).filter(p => p.kind === 'clip');
+    for (const column of page.columns) {
+      assert.notEqual(column[column.length - 1].type, 'subhead', `after ${extra} short paragraphs`);
+    }
+  }
+});
+
+// Just the parts of a loadTemplate() result the layout reads
+function layoutTemplate({ margin = 720, bodySize = 20, bodyLine = 256 } = {}) {
+  const style = (size, line = 240, after = 0) => ({ run: { size }, paragraph: { spacing: { after, line } } });
+  return {
+    page: { size: { width: 12240, height: 15840 }, margin: { top: margin, right: margin, bottom: margin, left: margin } },
+    columns: { count: 2, space: 720 },
+    styles: { header: style(20, 256, 160), title: style(40), byline: style(20), body: style(bodySize, bodyLine) },
+  };
+}
+
+test('page breaks follow the template page, columns and body size', () => {
+  assert.deepEqual(packetLayout(layoutTemplate()), packetLayout());
+  assert.equal(packetLayout().textChars, TEXT_CHARS);
+
+  const wide = packetLayout(layoutTemplate({ margin: 1080 })); // 0.75" margins
+  assert.deepEqual([wide.textChars, wide.columnChars, wide.pageHeight], [84, 39, 684]);
+  const small = packetLayout(layoutTemplate({ bodySize: 18, bodyLine: 240 })); // 9pt, single spaced
+  assert.deepEqual([small.textChars, small.columnChars, small.bylineChars], [100, 46, 90]);
+  // Blockquotes are indented three characters a side, whatever the body size
+  assert.equal(small.blockquoteChars, small.columnChars - 6);
+  assert.equal(packetLayout().blockquoteChars, COLUMN_CHARS - 6);
+
+  const long = { ...articles[0], body: [{ type: 'paragraph', text: Array(60).fill(sentence).join(' ') }] };
+  // How much of the story fits on the first page
+  const firstPage = template => {
+    const page = paginatePacket(buildPacket([long]), template).find(p => p.kind === 'clip');
+    return page.columns.flat().reduce((length, block) => length + block.text.length, 0);
+  };
+  assert.ok(firstPage(layoutTemplate({ margin: 1080 })) < firstPage(null));
+  assert.ok(firstPage(layoutTemplate({ bodySize: 18, bodyLine: 240 })) > firstPage(null));
+});
+
+test('layout warnings', () => {
+  const [clean, teaser] = buildPacket(articles).clips;
+  assert.deepEqual(clipWarnings(clean), []);
+  assert.deepEqual(clipWarnings(teaser), ['No byline, so it shows as "By Staff"']);
+
+  const [broken] = buildPacket([{
+    ...articles[0],
+    title: 'Bears mailbag: Answering your questions about the offensive line, the kicker and the upcoming draft class',
+    author: 'By Dan Wiederer and Colleen Kane and Brad Biggs and Kevin Fishbain',
+    body: [],
+    content: '',
+  }]).clips;
+  assert.deepEqual(clipWarnings(broken), [
+    'Headline runs to 3 lines',
+    'Byline repeats "By"',
+    'Byline wraps onto a second line',
+    'No body text',
+  ]);
+});
+
+test('contents list clips in packet order or under each outlet, with starting pages', () => {
+  const byOrder = buildPacket(articles, new Date(2026, 9, 18), { order: ['a', 'c', 'b'], otherCoverage: true });
+  assert.equal(byOrder.contents.grouping, 'order');
+  assert.deepEqual(byOrder.contents.groups.map(group => group.heading), [null, null]);
+  assert.deepEqual(byOrder.contents.groups[0].entries, [
+    { bookmark: 'clip_1', title: 'Bears beat Lions', author: 'Brad Biggs', source: 'Chicago Tribune' },
+    { bookmark: 'clip_2', title: 'Long read', author: 'Colleen Kane', source: 'Chicago Sun-Times' },
+  ]);
+  assert.deepEqual(byOrder.contents.groups[1].entries.map(entry => entry.bookmark), [APPENDIX_BOOKMARK]);
+
+  const pages = paginatePacket(byOrder);
+  assert.deepEqual(pages.slice(0, 3).map(page => page.kind), ['cover', 'contents', 'clip']);
+  const starts = startPages(pages);
+  assert.equal(starts.get('clip_1'), 3);
+  assert.equal(starts.get('clip_2'), 4);
+  assert.equal(starts.get(APPENDIX_BOOKMARK), pages.length);
+  assert.deepEqual(pages[1].lines.map(line => line.page), [3, 4, pages.length]);
+
+  const moreTribune = { ...articles[0], id: 'd', title: 'Notes' };
+  const byOutlet = buildPacket([...articles, moreTribune], new Date(2026, 9, 18), { contents: 'outlet', order: ['a', 'c', 'd'] });
+  assert.deepEqual(byOutlet.contents.groups.map(group => [group.heading, group.entries.map(entry => entry.title)]), [
+    ['Chicago Tribune', ['Bears beat Lions', 'Notes']],
+    ['Chicago Sun-Times', ['Long read']],
+    ['ESPN', ['Injury report']],
+  ]);
+  assert.equal(byOutlet.contents.groups[0].entries[0].source, '');
+
+  assert.equal(buildPacket(articles, new Date(), { contents: null }).contents, null);
+  assert.equal(paginatePacket(buildPacket(articles, new Date(), { contents: null }))[1].kind, 'clip');
+});
+
+test('clips link to their story only over http(s)', () => {
+  const [linked, unlinked] = buildPacket([
+    { ...articles[0], sourceUrl: 'https://www.chicagotribune.com/bears' },
+    { ...articles[2], sourceUrl: 'javascript:alert(1)' },
+  ]).clips;
+  assert.equal(linked.url, 'https://www.chicagotribune.com/bears');
+  assert.equal(unlinked.url, '');
+});
+
+test('a digest files clips under their edition day, numbered day by day', () => {
+  const digestArticles = [
+    ...articles,
+    { id: 'd', title: 'Weekend notes', author: 'Kevin Fishbain', source: 'ESPN', edition: '2026-10-19', contentStatus: 'full', body: paragraphs(2) },
+  ];
+  const packet = buildPacket(digestArticles, new Date(2026, 9, 20), {
+    otherCoverage: true, order: ['d', 'c', 'a', 'b'], digest: { start: '2026-10-17', end: '2026-10-19' },
+  });
+  assert.deepEqual(packet.cover, { dayLine: 'WEEK OF', monthDay: 'OCTOBER 17', suffix: 'th' });
+  assert.deepEqual(packet.days.map(day => [day.date, day.label, day.clips]), [
+    ['2026-10-17', 'Saturday, October 17', 0],
+    ['2026-10-18', 'Sunday, October 18', 1],
+    ['2026-10-19', 'Monday, October 19', 2], // undated 'c' goes on the last day
+  ]);
+  assert.deepEqual(packet.clips.map(clip => [clip.id, clip.pageLabel]), [
+    ['a', 'Page 1 of 1'], ['d', 'Page 1 of 2'], ['c', 'Page 2 of 2'],
+  ]);
+  assert.deepEqual(packet.contents.groups.map(group => group.heading), ['Sunday, October 18', 'Monday, October 19', null]);
+
+  // The summary counts clip pages, like the dividers: ESPN's excerpt-only
+  // 'b' is listed in the appendix, not counted
+  const { summary } = packet;
+  assert.deepEqual(summary.days.map(day => day.label), ['Sat, 10/17', 'Sun, 10/18', 'Mon, 10/19']);
+  assert.deepEqual(summary.rows, [
+    { outlet: 'Chicago Sun-Times', counts: [0, 0, 1], total: 1 },
+    { outlet: 'Chicago Tribune', counts: [0, 1, 0], total: 1 },
+    { outlet: 'ESPN', counts: [0, 0, 1], total: 1 },
+  ]);
+  assert.deepEqual([summary.totals, summary.total], [packet.days.map(day => day.clips), packet.clips.length]);
+  assert.deepEqual(packet.appendix.map(entry => entry.id), ['b']);
+
+  const pages = paginatePacket(packet);
+  const kinds = pages.map(page => page.kind).filter((kind, i, all) => kind !== all[i - 1]);
+  assert.deepEqual(kinds, ['cover', 'contents', 'summary', 'divider', 'clip', 'divider', 'clip', 'appendix']);
+  const starts = startPages(pages);
+  assert.equal(pages[starts.get('day_2') - 1].day.date, '2026-10-18');
+  assert.equal(starts.has('day_1'), false); // no clips, no divider
+});
+
+test('a digest runs forwards and at most MAX_DIGEST_DAYS days', () => {
+  assert.deepEqual(digestDays({ start: '2026-10-31', end: '2026-11-02' }), ['2026-10-31', '2026-11-01', '2026-11-02']);
+  assert.equal(digestDays({ start: '2026-04-23', end: '2026-04-30' }).length, MAX_DIGEST_DAYS);
+  assert.throws(() => digestDays({ start: '2026-04-23', end: '2026-05-01' }), /at most 8 days/);
+  assert.throws(() => digestDays({ start: '2026-10-19', end: '2026-10-17' }), /start on or before/);
+  assert.equal(buildPacket(articles, new Date(2026, 9, 18)).summary, null);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSourceStats, buildReport } from '../scripts/lib/report.js';
+
+const run = (itemsMatched, extra = {}) => ({
+  ...createSourceStats({ source: 'Chicago Tribune', type: 'html' }), listingStatus: 200, itemsMatched, ...extra,
+});
+
+test('a drop below half the recent average is flagged', () => {
+  let report = null;
+  for (const n of [10, 12, 11]) report = buildReport([run(n)], report);
+  report = buildReport([run(4)], report);
+  assert.equal(report.sources[0].status, 'drop');
+  assert.equal(report.sources[0].recentAverage, 11);
+});
+
+test('errored runs stay out of the average and are counted on their own', () => {
+  let report = null;
+  for (const n of [10, 10, 10]) report = buildReport([run(n)], report);
+  report = buildReport([run(0, { listingStatus: 503 })], report);
+  report = buildReport([run(0, { error: 'ETIMEDOUT' })], report);
+  assert.deepEqual(report.history['Chicago Tribune'], [10, 10, 10]);
+  assert.equal(report.sources[0].status, 'error');
+  assert.equal(report.sources[0].failedRuns, 2);
+
+  // Back up: the average is the healthy runs', so a real drop still shows
+  report = buildReport([run(4)], report);
+  assert.equal(report.sources[0].recentAverage, 10);
+  assert.equal(report.sources[0].status, 'drop');
+  assert.equal(report.sources[0].failedRuns, 0);
+});
@@ -0,0 +1,131 @@
+/**
+ * Fixture-replay tests for every scraper.
+ *
+ * Each directory in test/fixtures/scrapers/ is replayed through the source's
+ * current sources.json config and must produce exactly expected.json.
+ * After an outlet redesign: re-record with `npm run fixtures:record -- "<source>"`,
+ * fix the selectors until the new expected.json looks right, and commit both.
+ * Set UPDATE_FIXTURES=1 to rewrite expected.json from the current output.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { loadSources } from '../scripts/lib/sources.js';
+import { urlToId, createContext, scrapeSource, MAX_FOLLOW_PER_SITE } from '../scripts/lib/scrapers.js';
+import { createSourceStats } from '../scripts/lib/report.js';
+import { listFixtures, replayFixture, writeExpected, fixtureName } from '../scripts/lib/fixtures.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const sources = loadSources(join(__dirname, '..', 'sources.json'), { includeDisabled: true });
+const fixtures = listFixtures();
+
+for (const name of fixtures) {
+  test(`${name}: extracts the recorded articles`, async () => {
+    const { articles, misses, expected } = await replayFixture(name, sources);
+
+    assert.deepEqual(misses, [], 'scraper requested URLs that are not in the fixture');
+
+    if (process.env.UPDATE_FIXTURES) {
+      writeExpected(name, articles);
+      return;
+    }
+    assert.ok(expected, `${name} has no expected.json (UPDATE_FIXTURES=1 to write it, then review it)`);
+    assert.deepEqual(articles, expected);
+  });
+}
+
+test('every article has a title, url and structured body', async () => {
+  for (const name of fixtures) {
+    const { articles } = await replayFixture(name, sources);
+    for (const article of articles) {
+      assert.ok(article.title, `${name}: missing title`);
+      assert.match(article.sourceUrl, /^https?:\/\//, `${name}: bad sourceUrl`);
+      assert.ok(Array.isArray(article.body), `${name}: body is not an array`);
+      assert.doesNotMatch(article.content, /&(#\d+|[a-z]+);/i, `${name}: undecoded entity in content`);
+    }
+  }
+});
+
+test('follow-link sources count fetched and failed article bodies', async () => {
+  const espn = await replayFixture('espn', sources);
+  assert.equal(espn.stats.listingStatus, 200);
+  assert.equal(espn.stats.itemsMatched, 2);
+  assert.equal(espn.stats.articlesKept, 1);
+  assert.equal(espn.stats.bodiesFetched, 1);
+  assert.equal(espn.stats.bodiesFailed, 0);
+
+  const ap = await replayFixture('ap-news', sources);
+  assert.equal(ap.stats.articlesKept, 2);
+  assert.equal(ap.stats.bodiesFailed, 1); // article page answers 500
+
+  const redesign = await replayFixture('ap-news-redesign', sources);
+  assert.equal(redesign.stats.bodiesFetched, 1);
+  assert.equal(redesign.stats.bodiesFallback, 1);
+});
+
+test('every kept article has a normalized publish date', async () => {
+  for (const name of fixtures) {
+    const { articles } = await replayFixture(name, sources);
+    for (const article of articles) {
+      assert.equal(new Date(article.publishedAt).toISOString(), article.publishedAt, `${name}: bad publishedAt`);
+      assert.ok(article.publishedAtSource, `${name}: missing publishedAtSource`);
+    }
+  }
+});
+
+test('undated listing items take their date from the article page', async () => {
+  const { articles, stats } = await replayFixture('chicago-tribune', sources);
+  const stadium = articles.find(a => a.title.startsWith('Arlington Heights'));
+  assert.equal(stadium.publishedAt, '2026-10-17T19:05:00.000Z');
+  assert.equal(stadium.publishedAtSource, 'article-meta');
+  assert.equal(stats.datesFromPage, 1);
+
+  // "4 days ago" is older than the lookback and never reaches the packet
+  assert.ok(!articles.some(a => a.title.startsWith('Ranking the 100')));
+});
+
+test('every undated item past the follow limit still gets its page date', async () => {
+  const slugs = Array.from({ length: MAX_FOLLOW_PER_SITE + 2 }, (_, i) => `bears-story-${i + 1}`);
+  const listing = slugs.map(slug => `<li><a href="/sports/${slug}"><h3>Bears story ${slug}</h3></a></li>`).join('');
+  const page = '<html><head><meta property="article:published_time" content="2026-10-17T19:05:00Z"></head><body></body></html>';
+  const fetch = async url => new Response(url.endsWith('/bears') ? `<ul>${listing}</ul>` : page);
+
+  const config = { source: 'Test Outlet', type: 'html', listUrl: 'https://example.com/bears', selectors: { items: 'li', title: 'h3' } };
+  const ctx = createContext({ fetch, now: Date.parse('2026-10-18T12:00:00Z'), politeDelayMs: 0, robots: false, retries: 0 });
+  const stats = createSourceStats(config);
+  const articles = await scrapeSource(config, stats, ctx);
+
+  assert.equal(articles.length, slugs.length);
+  assert.ok(articles.every(a => a.publishedAtSource === 'article-meta'));
+  assert.equal(stats.undated, 0);
+});
+
+test('feed titles are decoded once, so an escaped entity stays literal', async () => {
+  const { articles } = await replayFixture('chicago-bears-official', sources);
+  assert.ok(articles.some(a => a.title === "Ben Johnson's Friday press conference Q&amp;A"));
+});
+
+test('article page metadata fills in authors and names the story by its canonical URL', async () => {
+  const { articles } = await replayFixture('ap-news', sources);
+  const game = articles.find(a => a.title.startsWith('Williams throws'));
+  assert.equal(game.author, 'Andrew Seligman');
+  assert.equal(game.section, 'Sports');
+  assert.equal(game.canonicalUrl, 'https://apnews.com/article/bears-packers-score-0a1b2c3d');
+  assert.equal(game.id, urlToId('https://apnews.com/article/bears-packers-score-0a1b2c3d'));
+});
+
+test('every article is labelled with how much of the story we have', async () => {
+  const status = async name => (await replayFixture(name, sources)).articles.map(a => a.contentStatus);
+  assert.deepEqual(await status('ap-news'), ['full', 'failed']); // second article page answers 500
+  assert.deepEqual(await status('chicago-tribune'), ['paywalled', 'paywalled']);
+  assert.deepEqual(await status('daily-herald'), ['excerpt']);
+});
+
+test('every enabled source has a fixture', () => {
+  const missing = sources
+    .filter(s => s.enabled !== false && !fixtures.includes(fixtureName(s.source)))
+    .map(s => s.source);
+  assert.deepEqual(missing, []);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, matchQuery, keywordInContext } from '../src/search-query.js';
+
+const article = {
+  title: 'Caleb Williams sharp as Bears beat Packers',
+  author: 'Brad Biggs',
+  authors: ['Brad Biggs'],
+  source: 'Chicago Tribune',
+  excerpt: 'Williams threw three touchdowns.',
+  content: 'The Bearsville crowd was loud. Caleb Williams threw for 300 yards and three touchdowns. Ben Johnson called it his best game.',
+};
+
+const fantasy = {
+  ...article,
+  title: 'Fantasy football: start Caleb Williams?',
+  source: 'ESPN',
+  content: 'Caleb Williams is a top-10 fantasy quarterback this week.',
+};
+
+function matches(query, target = article) {
+  return matchQuery(parseQuery(query), target);
+}
+
+test('terms match whole words, case-insensitively', () => {
+  assert.equal(matches('bears'), true);
+  assert.equal(matches('Bearsv'), false);
+  assert.equal(matches('Bearsv*'), true);
+  assert.equal(matches('"caleb williams"'), true);
+  assert.equal(matches('"Williams Caleb"'), false);
+});
+
+test('AND, OR, NOT and grouping', () => {
+  assert.equal(matches('"Caleb Williams" NOT fantasy'), true);
+  assert.equal(matches('"Caleb Williams" NOT fantasy', fantasy), false);
+  assert.equal(matches('"Caleb Williams" -fantasy', fantasy), false);
+  assert.equal(matches('Packers Lions'), false); // AND is implied
+  assert.equal(matches('Packers OR Lions'), true);
+  assert.equal(matches('(Lions OR Packers) AND touchdowns'), true);
+  assert.equal(matches('Sun-Times'), false); // hyphenated words are one term
+});
+
+test('author:, source: and title: search one field', () => {
+  assert.equal(matches('author:biggs'), true);
+  assert.equal(matches('author:Williams'), false);
+  assert.equal(matches('source:"Chicago Tribune"'), true);
+  assert.equal(matches('source:ESPN', fantasy), true);
+  assert.equal(matches('title:Johnson'), false);
+  assert.equal(matches('Johnson'), true);
+});
+
+test('malformed queries throw; empty ones match everything', () => {
+  assert.throws(() => parseQuery('"Caleb Williams'), /Unclosed quote/);
+  assert.throws(() => parseQuery('(Bears OR Packers'), /Missing "\)"/);
+  assert.throws(() => parseQuery('Bears OR'), /ends too early/);
+  assert.throws(() => parseQuery('Caleb Williams”'), /Unclosed quote/); // a stray curly close quote
+  assert.throws(() => parseQuery('author:)'), /Nothing to search for after "author:"/);
+  assert.throws(() => parseQuery('(Bears OR source:)'), /Nothing to search for after "source:"/);
+  assert.equal(matches('”Caleb Williams”'), true);
+  assert.equal(parseQuery('   '), null);
+  assert.equal(matchQuery(null, article), true);
+});
+
+test('keyword in context is the first sentence with a term, highlighted', () => {
+  assert.deepEqual(keywordInContext(article, parseQuery('touchdowns OR "Caleb Williams"')), [
+    { text: 'Caleb Williams', match: true },
+    { text: ' threw for 300 yards and three ', match: false },
+    { text: 'touchdowns', match: true },
+    { text: '.', match: false },
+  ]);
+
+  // Negated and field terms aren't highlighted; with nothing to show, null
+  assert.deepEqual(keywordInContext(article, parseQuery('Johnson NOT Bearsville')).map(s => s.text),
+    ['Ben ', 'Johnson', ' called it his best game.']);
+  assert.equal(keywordInContext(article, parseQuery('author:Biggs')), null);
+});
+
+test('long sentences are trimmed around the first hit', () => {
+  const long = { title: '', content: `${'word '.repeat(100)}Bears ${'word '.repeat(100)}`.trim() };
+  const segments = keywordInContext(long, parseQuery('Bears'));
+  assert.equal(segments[0].text, '…');
+  assert.equal(segments[segments.length - 1].text, '…');
+  assert.ok(segments.some(s => s.match && s.text === 'Bears'));
+  assert.ok(segments.map(s => s.text).join('').length <= 302);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { validateSources, loadSources } from '../scripts/lib/sources.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+test('sources.json is valid', () => {
+  assert.ok(loadSources(join(__dirname, '..', 'sources.json'), { includeDisabled: true }).length > 0);
+});
+
+test('json sources need title and url field mappings', () => {
+  const problems = validateSources({
+    sources: [
+      { source: 'A', type: 'json', jsonUrl: 'https://a.example.com/feed.json', fields: { title: 'headline', date: ['published', 7] } },
+    ],
+  });
+  assert.deepEqual(problems, [
+    'sources[0] ("A") fields: "url" is required',
+    'sources[0] ("A") fields: "date" must be a dot path or a list of dot paths',
+  ]);
+});
+
+test('sitemap urlPattern must be a valid regular expression', () => {
+  const problems = validateSources({
+    sources: [{ source: 'B', type: 'sitemap', sitemapUrl: 'https://b.example.com/news.xml', urlPattern: '/bears/(' }],
+  });
+  assert.deepEqual(problems, ['sources[0] ("B"): "urlPattern" must be a valid regular expression']);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeEntities, cleanText, collapseWhitespace } from '../src/text.js';
+import { htmlToBlocks } from '../scripts/lib/text.js';
+
+test('entities are decoded once', () => {
+  assert.equal(decodeEntities('Bears &amp; Packers &#8217;25 &#x2014; &ldquo;win&rdquo;'), 'Bears & Packers ’25 — “win”');
+  assert.equal(decodeEntities('a &amp;lt; b'), 'a &lt; b'); // an escaped entity stays literal
+  assert.equal(decodeEntities('&bogus; &#0;'), '&bogus; &#0;');
+  assert.equal(decodeEntities(null), '');
+});
+
+test('cleanText decodes and collapses whitespace', () => {
+  assert.equal(cleanText('  Bears\n\t&nbsp;win  '), 'Bears win');
+});
+
+test('parsed HTML is decoded by cheerio only, not a second time', () => {
+  assert.deepEqual(htmlToBlocks('<p>Write &amp;lt;b&amp;gt; and AT&amp;amp;T</p><h3>Q&amp;A</h3>'), [
+    { type: 'paragraph', text: 'Write &lt;b&gt; and AT&amp;T' },
+    { type: 'subhead', text: 'Q&A' },
+  ]);
+  assert.equal(collapseWhitespace('  AT&amp;T\n win '), 'AT&amp;T win');
+});
@@ -0,0 +1,172 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { h, safeUrl } from '../src/dom.js';
+import {
+  keywordTags, options, scrapeWarnings, articleItem, editPanel, facetPanel, packetOrderItems, packetPreview,
+} from '../src/views.js';
+import { buildPacket, paginatePacket } from '../src/packet.js';
+
+before(() => {
+  globalThis.document = new JSDOM('<!DOCTYPE html>').window.document;
+});
+
+const IMG = '<img src=x onerror=alert(1)>';
+const SCRIPT = '<script>alert("pwned")</script>';
+
+const hostile = {
+  id: 'evil',
+  title: `Bears win ${IMG}`,
+  author: SCRIPT,
+  source: `Tribune" onmouseover="alert(1)`,
+  sourceUrl: 'javascript:alert(1)',
+  excerpt: `<b>bold</b> & ${IMG}`,
+  contentStatus: 'full',
+};
+
+const noop = () => {};
+const articleCallbacks = { onToggle: noop, onEdit: noop, onRemoveManual: noop };
+
+// Render into a container and check no markup got through
+function render(nodes) {
+  const container = document.createElement('div');
+  container.append(...[nodes].flat());
+  document.body.replaceChildren(container); // checkboxes only fire change events when connected
+  assert.equal(container.querySelector('img:not(.preview-logo), script, b'), null, 'injected markup was parsed');
+  for (const el of container.querySelectorAll('*')) {
+    for (const { name } of el.attributes) assert.ok(!name.startsWith('on'), `event handler attribute ${name}`);
+  }
+  return container;
+}
+
+test('h() renders strings as text and skips empty children', () => {
+  const el = h('p', { class: ['a', false, 'b'], dataset: { keyword: '"x" <y>' } }, IMG, null, false, 3, [' ', 'z']);
+  assert.equal(el.className, 'a b');
+  assert.equal(el.textContent, `${IMG}3 z`);
+  assert.equal(el.dataset.keyword, '"x" <y>');
+  assert.equal(el.children.length, 0);
+});
+
+test('h() drops unsafe links and wires listeners', () => {
+  assert.equal(safeUrl('javascript:alert(1)'), null);
+  assert.equal(safeUrl('data:text/html,hi'), null);
+  assert.equal(safeUrl('not a url'), null);
+  assert.equal(safeUrl('https://www.chicagotribune.com/x'), 'https://www.chicagotribune.com/x');
+  assert.equal(h('a', { href: ' javascript:alert(1)' }).hasAttribute('href'), false);
+
+  let clicked = 0;
+  const button = h('button', { onClick: () => clicked++ }, 'Go');
+  button.click();
+  assert.equal(clicked, 1);
+  assert.equal(button.hasAttribute('onclick'), false);
+});
+
+test('article fields render as text', () => {
+  const alternate = { id: 'copy', source: `<i>ESPN</i>`, sourceUrl: 'javascript:alert(2)', duplicateOf: 'evil' };
+  const container = render(articleItem(hostile, { selected: true, snippet: null, alternates: [alternate] }, articleCallbacks));
+
+  assert.equal(container.querySelector('.article-title').textContent, hostile.title);
+  assert.equal(container.querySelector('.article-author').textContent, `By ${SCRIPT}`);
+  assert.equal(container.querySelector('.article-source').textContent, hostile.source);
+  assert.equal(container.querySelector('.article-excerpt').textContent, hostile.excerpt);
+  assert.equal(container.querySelector('i'), null);
+  assert.equal(container.querySelector('a'), null, 'javascript: link rendered');
+  assert.match(container.querySelector('.article-also-ran').textContent, /<i>ESPN<\/i>/);
+  assert.equal(container.querySelector('.article-checkbox').checked, true);
+});
+
+test('snippets mark matches without parsing the text around them', () => {
+  const segments = [{ text: `${IMG} the `, match: false }, { text: '<b>Bears</b>', match: true }];
+  const container = render(articleItem(hostile, { selected: false, snippet: segments }, articleCallbacks));
+  const marks = container.querySelectorAll('mark');
+  assert.equal(marks.length, 1);
+  assert.equal(marks[0].textContent, '<b>Bears</b>');
+  assert.equal(container.querySelector('.article-excerpt').textContent, `${IMG} the <b>Bears</b>`);
+});
+
+test('safe also-ran links keep their href', () => {
+  const alternate = { source: 'ESPN', sourceUrl: 'https://www.espn.com/nfl/story' };
+  const container = render(articleItem({ ...hostile, sourceUrl: '' }, { alternates: [alternate] }, articleCallbacks));
+  assert.equal(container.querySelector('.article-also-ran a').getAttribute('href'), alternate.sourceUrl);
+});
+
+test('the edit panel puts hostile values in fields, not markup', () => {
+  let field = null;
+  const draft = { title: hostile.title, author: SCRIPT, source: hostile.source, publishedAt: '', body: [{ type: 'paragraph', text: `</textarea>${IMG}` }] };
+  const container = render(editPanel(draft, {
+    canRevert: false, onField: (name, value) => { field = [name, value]; }, onParagraph: noop, onDeleteParagraph: noop,
+    onSave: noop, onCancel: noop, onRevert: noop,
+  }));
+
+  const inputs = container.querySelectorAll('.edit-field');
+  assert.equal(inputs[0].value, hostile.title);
+  assert.equal(inputs[1].value, SCRIPT);
+  assert.equal(container.querySelector('.edit-body').value, `</textarea>${IMG}`);
+  assert.equal(container.querySelector('.edit-revert'), null);
+
+  inputs[0].value = 'New title';
+  inputs[0].dispatchEvent(new document.defaultView.Event('input'));
+  assert.deepEqual(field, ['title', 'New title']);
+});
+
+test('keyword chips hand back the exact keyword', () => {
+  const keyword = `"Soldier Field" ${IMG}`;
+  let removed = null;
+  const container = render(keywordTags([keyword], { onRemove: k => { removed = k; } }));
+  assert.match(container.textContent, /Soldier Field.*<img/);
+  container.querySelector('.keyword-remove').click();
+  assert.equal(removed, keyword);
+});
+
+test('facets, options, packet order and scrape warnings render as text', () => {
+  let toggled = null;
+  const facets = render(facetPanel([
+    { id: 'author', label: 'Author', values: [{ value: SCRIPT, count: 1, selected: false }] },
+  ], { shown: 1, total: 1, anyTicked: false, onToggle: (...args) => { toggled = args; }, onClear: noop }));
+  assert.equal(facets.querySelector('.facet-value-label').textContent, SCRIPT);
+  facets.querySelector('input').click();
+  assert.deepEqual(toggled, ['author', SCRIPT, true]);
+
+  const select = document.createElement('select');
+  select.append(...options([{ value: `a"b`, label: IMG }]));
+  assert.equal(select.value, `a"b`);
+  assert.equal(select.options[0].textContent, IMG);
+
+  const order = render(packetOrderItems([hostile], { onMove: noop, onDragStart: noop, onDrop: noop }));
+  assert.equal(order.querySelector('.packet-order-title').textContent, hostile.title);
+
+  const warnings = render(scrapeWarnings([`${SCRIPT} failed to load`], '2026-10-18T11:00:00Z'));
+  assert.equal(warnings.querySelector('li').textContent, `${SCRIPT} failed to load`);
+});
+
+test('the packet preview renders clip fields as text and flags pages', () => {
+  const packet = buildPacket([{ ...hostile, body: [{ type: 'paragraph', text: IMG }] }], new Date(2026, 9, 18));
+  const pages = render(packetPreview(paginatePacket(packet), {
+    logoUrl: 'https://example.com/images/bears-logo.png',
+    flagged: new Set(['evil']),
+  }));
+  assert.deepEqual([...pages.querySelectorAll('.preview-page')].map(page => page.className), [
+    'preview-page', 'preview-page', 'preview-page preview-page-flagged',
+  ]);
+  assert.equal(pages.querySelector('.preview-contents-entry strong').textContent, hostile.title);
+  assert.equal(pages.querySelector('.preview-clip-header .preview-title').textContent, hostile.title);
+  assert.equal(pages.querySelector('.preview-byline span').textContent, `By ${SCRIPT}, ${hostile.source}`);
+  assert.equal(pages.querySelector('.preview-paragraph').textContent, IMG);
+  assert.equal(pages.querySelector('.preview-cover sup').textContent, 'th');
+  assert.match(pages.querySelector('.preview-cover').textContent, /^CHICAGO BEARSMEDIA CLIPSSUNDAY,/);
+
+  const cover = render(packetPreview(paginatePacket(packet), { coverText: ['GAME DAY CLIPS'] })).querySelector('.preview-cover');
+  assert.match(cover.textContent, /^GAME DAY CLIPSSUNDAY,/);
+});
+
+test('a digest preview shows the summary table and day dividers', () => {
+  const packet = buildPacket([{ ...hostile, edition: '2026-10-18', body: [{ type: 'paragraph', text: 'x' }] }], new Date(2026, 9, 19), {
+    digest: { start: '2026-10-17', end: '2026-10-19' },
+  });
+  const pages = render(packetPreview(paginatePacket(packet), { logoUrl: 'https://example.com/images/bears-logo.png' }));
+  const table = pages.querySelector('.preview-summary');
+  assert.deepEqual([...table.querySelectorAll('thead th')].map(th => th.textContent), ['Outlet', 'Sat, 10/17', 'Sun, 10/18', 'Mon, 10/19', 'Total']);
+  assert.deepEqual([...table.querySelectorAll('tbody td')].map(td => td.textContent), [hostile.source, '–', '1', '–']);
+  assert.equal(pages.querySelector('.preview-divider').textContent, 'SUNDAY,OCTOBER 18th1 clip');
+  assert.match(pages.querySelector('.preview-cover').textContent, /WEEK OFOCTOBER 17th$/);
+});